@@ -13,8 +13,12 @@ const { createOnboardingSystem } = require("./onboarding");
 const { createRulesMenuSystem } = require("./rulesmenu");
 const { createMapVoteSystem } = require("./mapvote");
 const { createWipeMapSystem } = require("./mapvote");
-const { createGiveawaySystem } = require("./giveaways");
-const { createSignalRolesSystem } = require("./signalroles");
+const { createGiveawaySystem, parseUtcToUnix } = require("./giveaways");
+const { createSignalRolesSystem, SIGNALS } = require("./signalroles");
+const { DEFAULT_TIERS, MAX_UPGRADE_LEVEL, simulateRace } = require("./raceengine");
+const { DEFAULT_POINTS_PER_TOKEN, runRtpReportInWorker, bestPerTokenInWorker, formatRtpReport } = require("./rtpreport");
+const { createPayoutLedger } = require("./payoutledger");
+const { DEFAULT_REPLY_RULES, kaosCommand, createKaosBridge } = require("./kaosbridge");
 
 const {
   Client,
@@ -23,6 +27,13 @@ const {
   Routes,
   SlashCommandBuilder,
   EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
   PermissionFlagsBits,
   PermissionsBitField,
   WebhookClient,
@@ -55,6 +66,12 @@ const MAX_ACTIVE_SOLO_RACES_PER_GUILD = Math.max(
   parseInt(process.env.MAX_ACTIVE_SOLO_RACES_PER_GUILD || "12", 10) || 12
 );
 
+// Cap on open party lobbies per guild (one per channel; default 3)
+const MAX_ACTIVE_PARTIES_PER_GUILD = Math.max(
+  1,
+  parseInt(process.env.MAX_ACTIVE_PARTIES_PER_GUILD || "3", 10) || 3
+);
+
 // Optional ping role when party lobby created
 const RACE_PING_ROLE_ID = process.env.RACE_PING_ROLE_ID || "";
 function pingRoleText() {
@@ -69,16 +86,23 @@ const {
   KAOS_CHANNEL_ID,
   KAOS_USE_WEBHOOK,
   KAOS_WEBHOOK_URL,
+  KAOS_BRIDGE,
   AUDIT_CHANNEL_ID,
 } = process.env;
 
 const useWebhook = (KAOS_USE_WEBHOOK || "false").toLowerCase() === "true";
 const kaosWebhook =
   useWebhook && KAOS_WEBHOOK_URL ? new WebhookClient({ url: KAOS_WEBHOOK_URL }) : null;
+// reading Kaos replies needs the privileged Message Content intent (Developer Portal)
+const kaosBridgeOn = (KAOS_BRIDGE || "false").toLowerCase() === "true";
 
 // ================== CLIENT ==================
 const client = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers],
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMembers,
+    ...(kaosBridgeOn ? [GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent] : []),
+  ],
 });
 
 // ================== DATA PATHS ==================
@@ -91,6 +115,42 @@ const DEFAULT_SETTINGS = {
   freezeRaces: false,
   freezePayouts: false,
   seasonLengthDays: 14,
+  // game tuning (/raceadmin config)
+  trackLen: 18,
+  tickMs: 1400,
+  soloCooldownSec: 90,
+  partyCooldownSec: 150,
+  dailyTokens: 1,
+  // daily claim streaks: grace after the 24h mark, extra tokens every 2 streak days, day-7 bonus
+  dailyGraceHours: 12,
+  dailyStreakStep: 1,
+  dailyWeekBonus: 5,
+  // weekly quests drawn from data/quests.json each Monday 00:00 UTC
+  questsPerWeek: 3,
+  // ranked party lobbies: joiners must be within this many rating points of the host
+  rankedBand: 200,
+  // duels: % of the pot kept by the house
+  duelRakePct: 5,
+  // /racetourney heats + bracket (empty = channel the tournament was created in)
+  tourneyChannelId: "",
+  // hostless lobbies opened by /raceevent stay open this long
+  eventJoinWindowSec: 600,
+  // /tokens buy: Kaos points per race token + how long to wait for Kaos to answer
+  pointsPerToken: DEFAULT_POINTS_PER_TOKEN, // must stay above tokenPriceFloor()
+  kaosReplyTimeoutSec: 120,
+  // how Kaos replies are recognised (kaosbridge.js); botId "" = any bot
+  kaosReplyRules: DEFAULT_REPLY_RULES,
+  // race tiers (/raceadmin tier)
+  tiers: DEFAULT_TIERS,
+  // season-end rewards (/raceadmin season-rewards); index = board rank - 1
+  seasonRewards: {
+    enabled: false,
+    topN: 3,
+    tokens: [10, 5, 3],
+    kaosPoints: [5000000, 2000000, 1000000],
+    championRoleId: "",
+    recapChannelId: "",
+  },
 };
 const DEFAULT_TOKENS = { users: {} };
 const DEFAULT_STATS = {
@@ -137,11 +197,21 @@ function saveJson(file, obj) {
 }
 
 // ================== SETTINGS ==================
-const settings = loadJsonSafe(SETTINGS_FILE, { ...DEFAULT_SETTINGS });
+const settings = loadJsonSafe(SETTINGS_FILE, JSON.parse(JSON.stringify(DEFAULT_SETTINGS)));
 function saveSettings() {
   saveJson(SETTINGS_FILE, settings);
 }
 
+// Patch old settings.json files (missing tuning keys / tiers from before they were configurable)
+for (const [k, v] of Object.entries(DEFAULT_SETTINGS)) {
+  if (settings[k] === undefined) settings[k] = JSON.parse(JSON.stringify(v));
+}
+if (!settings.tiers || typeof settings.tiers !== "object") settings.tiers = JSON.parse(JSON.stringify(DEFAULT_TIERS));
+for (const t of Object.values(settings.tiers)) {
+  if (typeof t.houseEdge !== "number") t.houseEdge = DEFAULT_TIERS[t.key]?.houseEdge ?? 0.7;
+  if (typeof t.streakMult !== "number") t.streakMult = DEFAULT_TIERS[t.key]?.streakMult ?? 1;
+}
+
 // ================== TOKENS DB ==================
 const tokenDB = loadJsonSafe(TOKENS_FILE, { ...DEFAULT_TOKENS });
 
@@ -149,12 +219,223 @@ function getTok(userId) {
   if (!tokenDB.users[userId]) tokenDB.users[userId] = { tokens: 0, lastDaily: 0 };
   if (typeof tokenDB.users[userId].lastDaily !== "number") tokenDB.users[userId].lastDaily = 0;
   if (typeof tokenDB.users[userId].tokens !== "number") tokenDB.users[userId].tokens = 0;
+  if (typeof tokenDB.users[userId].dailyStreak !== "number") tokenDB.users[userId].dailyStreak = 0;
   return tokenDB.users[userId];
 }
 function saveTokens() {
   saveJson(TOKENS_FILE, tokenDB);
 }
 
+// ================== TOKEN LEDGER ==================
+// Append-only, one JSON line per mutation. Callers still saveTokens() themselves.
+const TOKEN_LEDGER_FILE = path.join(DATA_DIR, "tokenledger.jsonl");
+
+const TOKEN_REASONS = {
+  daily: "📅 Daily claim",
+  race_entry: "🏁 Race entry",
+  achievement: "🏅 Achievement",
+  quest: "📜 Weekly quest",
+  garage_upgrade: "🔧 Garage upgrade",
+  garage_skin: "🎨 Garage skin",
+  kaos_buy: "💱 Bought with Kaos points",
+  shop_purchase: "🛒 Shop purchase",
+  shop_refund: "↩️ Shop refund",
+  transfer_in: "📥 Transfer in",
+  transfer_out: "📤 Transfer out",
+  admin_give: "🛠️ Admin give",
+  admin_giveall: "🛠️ Admin giveall",
+  season_reward: "🏆 Season reward",
+  race_refund: "↩️ Race refund",
+  duel_wager: "⚔️ Duel wager",
+  duel_refund: "↩️ Duel refund",
+  duel_win: "⚔️ Duel winnings",
+  spectator_bet: "🎰 Spectator bet",
+  spectator_win: "🎰 Spectator winnings",
+  spectator_refund: "↩️ Spectator bet refund",
+  tourney_entry: "🏆 Tournament entry",
+  tourney_refund: "↩️ Tournament refund",
+};
+
+function adjustTokens(userId, delta, reason, { counterparty = null, note = "" } = {}) {
+  const u = getTok(userId);
+  u.tokens += delta;
+
+  const row = { at: Date.now(), userId, delta, reason, counterparty, note, balance: u.tokens };
+  try {
+    ensureDir(DATA_DIR);
+    fs.appendFileSync(TOKEN_LEDGER_FILE, `${JSON.stringify(row)}\n`, "utf8");
+  } catch (e) {
+    console.error("token ledger write error:", e?.message || e);
+  }
+  return u;
+}
+
+const TOKEN_HISTORY_PER_PAGE = 10;
+const TOKEN_HISTORY_MAX_PAGES = 50;
+const TOKEN_HISTORY_SCAN_BYTES = 4 * 1024 * 1024; // how far back from the end of the ledger we look
+const TOKEN_HISTORY_CHUNK_BYTES = 64 * 1024;
+
+// Newest first, up to `limit` rows. Reads the ledger backwards in chunks and stops once it has
+// limit + 1 rows or has scanned TOKEN_HISTORY_SCAN_BYTES, so the cost doesn't grow with the file.
+// more = older rows exist; cut = the scan window ran out before the start of the ledger.
+function tokenHistory(userId, limit) {
+  let fd;
+  try {
+    fd = fs.openSync(TOKEN_LEDGER_FILE, "r");
+  } catch {
+    return { rows: [], more: false, cut: false };
+  }
+
+  const rows = [];
+  const needle = `"userId":${JSON.stringify(userId)}`; // cheap filter before JSON.parse
+  const chunk = Buffer.alloc(TOKEN_HISTORY_CHUNK_BYTES);
+  let carry = Buffer.alloc(0); // start of a line split across chunks
+  try {
+    let pos = fs.fstatSync(fd).size;
+    const stop = Math.max(0, pos - TOKEN_HISTORY_SCAN_BYTES);
+    while (pos > stop && rows.length <= limit) {
+      const len = Math.min(chunk.length, pos - stop);
+      pos -= len;
+      fs.readSync(fd, chunk, 0, len, pos);
+      const buf = Buffer.concat([chunk.subarray(0, len), carry]);
+
+      // the first line may continue in the next (earlier) chunk; at the window edge it's cut, so dropped
+      let start = 0;
+      if (pos > 0) {
+        const nl = buf.indexOf(10);
+        if (nl === -1) {
+          carry = buf;
+          continue;
+        }
+        carry = buf.subarray(0, nl);
+        start = nl + 1;
+      }
+
+      const lines = buf.subarray(start).toString("utf8").split("\n");
+      for (let i = lines.length - 1; i >= 0 && rows.length <= limit; i--) {
+        if (!lines[i].includes(needle)) continue;
+        try {
+          const row = JSON.parse(lines[i]);
+          if (row.userId === userId) rows.push(row);
+        } catch {}
+      }
+    }
+    return { rows: rows.slice(0, limit), more: rows.length > limit, cut: rows.length <= limit && stop > 0 };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function tokenHistoryEmbed(userId, page, title) {
+  const perPage = TOKEN_HISTORY_PER_PAGE;
+  const p = Math.min(Math.max(1, page), TOKEN_HISTORY_MAX_PAGES);
+  const { rows, more, cut } = tokenHistory(userId, p * perPage);
+
+  const lines = rows.slice((p - 1) * perPage).map((r) => {
+    const sign = r.delta > 0 ? `+${r.delta}` : `${r.delta}`;
+    const who = r.counterparty ? ` • ${tag(r.counterparty)}` : "";
+    const note = r.note ? ` • ${r.note}` : "";
+    return `<t:${Math.floor(r.at / 1000)}:f> **${sign}** ${TOKEN_REASONS[r.reason] || r.reason}${who}${note} → \`${r.balance}\``;
+  });
+
+  let footer = FOOTER;
+  if (more && p < TOKEN_HISTORY_MAX_PAGES) footer += ` • older entries on page ${p + 1}`;
+  else if (more || cut) footer += " • older entries aren't shown";
+
+  return new EmbedBuilder()
+    .setColor(COLOR_NEUTRAL)
+    .setTitle(`${title} • page ${p}`)
+    .setDescription(
+      `👤 ${tag(userId)} • 🎟️ Balance: **${getTok(userId).tokens}**\n\n` +
+        (lines.join("\n") || (p > 1 ? "`No entries on this page.`" : "`No token activity yet.`"))
+    )
+    .setFooter({ text: footer });
+}
+
+// ================== DAILY STREAKS ==================
+// /tokens daily every 24h keeps a claim streak in tokenDB. A claim up to dailyGraceHours late
+// (timezone drift) still counts; later than that the streak restarts at 1.
+// Streaks run in 7-day cycles: the reward grows every 2 days and day 7 adds dailyWeekBonus.
+const DAY_SEC = 24 * 60 * 60;
+const DAILY_REMIND_BEFORE_SEC = 3 * 60 * 60;
+const DAILY_REMIND_INTERVAL_MS = 5 * 60 * 1000;
+
+function dailyExpiresAt(u) {
+  return u.lastDaily + DAY_SEC + settings.dailyGraceHours * 3600;
+}
+
+// streak as of now (0 once the grace window has passed)
+function dailyStreakNow(u) {
+  return u.dailyStreak && nowSec() <= dailyExpiresAt(u) ? u.dailyStreak : 0;
+}
+
+function dailyReward(streak) {
+  const cycleDay = ((streak - 1) % 7) + 1;
+  const streakBonus = Math.floor((cycleDay - 1) / 2) * settings.dailyStreakStep;
+  const weekBonus = cycleDay === 7 ? settings.dailyWeekBonus : 0;
+  return { cycleDay, streakBonus, weekBonus, total: settings.dailyTokens + streakBonus + weekBonus };
+}
+
+function dailyStreakText(u) {
+  const streak = dailyStreakNow(u);
+  const best = u.dailyBest || 0;
+  const now = nowSec();
+  if (!streak) return `🔥 Daily streak: **0** (best ${best}) • \`/tokens daily\` to start one`;
+
+  const next = u.lastDaily + DAY_SEC;
+  const when = next > now ? `next claim <t:${next}:R>` : `claim now — streak ends <t:${dailyExpiresAt(u)}:R>`;
+  return `🔥 Daily streak: **${streak}** day(s) (best ${best}) • ${when}${u.dailyRemind ? " • 🔔" : ""}`;
+}
+
+function claimDaily(userId) {
+  const u = getTok(userId);
+  const now = nowSec();
+  if (u.lastDaily + DAY_SEC > now) return { error: `⏳ Try again <t:${u.lastDaily + DAY_SEC}:R>.\n${dailyStreakText(u)}` };
+
+  const kept = dailyStreakNow(u) > 0;
+  const lost = !kept && u.dailyStreak > 1 ? u.dailyStreak : 0;
+  u.dailyStreak = kept ? u.dailyStreak + 1 : 1;
+  u.dailyBest = Math.max(u.dailyBest || 0, u.dailyStreak);
+  u.lastDaily = now;
+  u.dailyReminded = false;
+
+  const reward = dailyReward(u.dailyStreak);
+  adjustTokens(userId, reward.total, "daily", { note: `streak day ${u.dailyStreak}` });
+  saveTokens();
+  return { reward, streak: u.dailyStreak, lost };
+}
+
+// DM opted-in players a few hours before an unclaimed streak runs out
+async function remindDailyStreaks() {
+  const now = nowSec();
+  let changed = false;
+  for (const [userId, u] of Object.entries(tokenDB.users)) {
+    if (!u.dailyRemind || u.dailyReminded || !dailyStreakNow(u)) continue;
+    const expires = dailyExpiresAt(u);
+    if (now < u.lastDaily + DAY_SEC || now < expires - DAILY_REMIND_BEFORE_SEC) continue;
+
+    u.dailyReminded = true;
+    changed = true;
+    const user = await client.users.fetch(userId).catch(() => null);
+    const next = dailyReward(u.dailyStreak + 1);
+    await user
+      ?.send(
+        `🔥 Your **${u.dailyStreak}-day** daily streak ends <t:${expires}:R> — claim **${next.total}** token(s) with \`/tokens daily\`.\n` +
+          "Turn these off with `/tokens daily-remind enabled:false`."
+      )
+      .catch(() => {});
+  }
+  if (changed) saveTokens();
+}
+
+let dailyRemindHandle = null;
+function startDailyReminders() {
+  if (!dailyRemindHandle) {
+    dailyRemindHandle = setInterval(() => remindDailyStreaks().catch(() => {}), DAILY_REMIND_INTERVAL_MS);
+  }
+  remindDailyStreaks().catch(() => {});
+}
+
 // ================== STATS DB ==================
 function newUserStats() {
   return {
@@ -165,10 +446,49 @@ function newUserStats() {
     podiums: 0,
     winStreak: 0,
     bestWinStreak: 0,
+    rating: RATING_START,
+    ratedRaces: 0,
+    partyWins: 0,
+    duelWins: 0,
+    photoFinishes: 0,
+    tourneyWins: 0,
     achievements: {},
   };
 }
 
+// ---------- party rating (per-season Elo) ----------
+// Only party races count: each pair of players is scored head-to-head by finishing
+// order, with K split across the field so a 5-boat race moves about as much as a duel.
+const RATING_START = 1000;
+const RATING_K = 32;
+
+function ratingOf(s) {
+  return typeof s?.rating === "number" ? s.rating : RATING_START;
+}
+
+// results: [{ userId, place }] -> Map userId -> rounded rating change
+function partyRatingDeltas(results) {
+  const deltas = new Map(results.map((r) => [r.userId, 0]));
+  const k = RATING_K / Math.max(1, results.length - 1);
+
+  for (let i = 0; i < results.length; i++) {
+    for (let j = i + 1; j < results.length; j++) {
+      const a = results[i];
+      const b = results[j];
+      const ra = ratingOf(getStats(a.userId));
+      const rb = ratingOf(getStats(b.userId));
+      const expectedA = 1 / (1 + 10 ** ((rb - ra) / 400));
+      const scoreA = a.place < b.place ? 1 : 0;
+      const d = k * (scoreA - expectedA);
+      deltas.set(a.userId, deltas.get(a.userId) + d);
+      deltas.set(b.userId, deltas.get(b.userId) - d);
+    }
+  }
+
+  for (const [uid, d] of deltas) deltas.set(uid, Math.round(d));
+  return deltas;
+}
+
 const statsDB = loadJsonSafe(STATS_FILE, { ...DEFAULT_STATS });
 
 function getStats(userId) {
@@ -195,18 +515,190 @@ function ensureDataFiles() {
   if (!fs.existsSync(STATS_FILE)) saveJson(STATS_FILE, { ...DEFAULT_STATS });
 }
 
+// ================== SEASON ARCHIVE ==================
+const SEASONS_FILE = path.join(DATA_DIR, "seasons.json");
+const seasonsDB = loadJsonSafe(SEASONS_FILE, { seasons: [] });
+if (!Array.isArray(seasonsDB.seasons)) seasonsDB.seasons = [];
+
+function saveSeasons() {
+  saveJson(SEASONS_FILE, seasonsDB);
+}
+
+// Per-user stats of a finished season live in their own file, read only when someone looks
+// that season up, so seasons.json keeps just the summaries + boards
+const SEASON_USERS_DIR = path.join(DATA_DIR, "seasons");
+function seasonUsersFile(n) {
+  return path.join(SEASON_USERS_DIR, `season-${n}.json`);
+}
+
+// Older seasons.json files carried every season's full user map inline
+if (seasonsDB.seasons.some((x) => x.users)) {
+  for (const x of seasonsDB.seasons) {
+    if (!x.users) continue;
+    saveJson(seasonUsersFile(x.seasonNumber), { seasonNumber: x.seasonNumber, users: x.users });
+    delete x.users;
+  }
+  saveSeasons();
+}
+
+function getArchivedSeason(n) {
+  return seasonsDB.seasons.find((x) => x.seasonNumber === n) || null;
+}
+
+// Stats map for a season: live users for the current one, the archived snapshot otherwise
+function seasonUsers(n) {
+  if (!n || n === statsDB.meta.seasonNumber) return statsDB.users;
+  if (!getArchivedSeason(n)) return null;
+  return loadJsonSafe(seasonUsersFile(n), { users: null }).users || null;
+}
+
+// Snapshot the finished season (boards in seasons.json, per-user stats in their own file),
+// then start the next one
+function rollSeason(reason) {
+  const users = statsDB.users || {};
+  const entries = Object.values(users);
+  const archived = {
+    seasonNumber: statsDB.meta?.seasonNumber || 1,
+    start: statsDB.meta?.seasonStart || Date.now(),
+    end: Date.now(),
+    reason,
+    players: entries.length,
+    totalRaces: entries.reduce((n, s) => n + (s.races || 0), 0),
+    topWinnings: topBy("totalWon", 10, users).map((x) => ({ uid: x.uid, totalWon: x.totalWon || 0 })),
+    topWins: topBy("wins", 10, users).map((x) => ({ uid: x.uid, wins: x.wins || 0 })),
+    // resumed on startup until rewardsPaidAt is set
+    rewardsDue: !!settings.seasonRewards?.enabled,
+  };
+
+  if (entries.length) {
+    saveJson(seasonUsersFile(archived.seasonNumber), { seasonNumber: archived.seasonNumber, users });
+    seasonsDB.seasons = seasonsDB.seasons.filter((x) => x.seasonNumber !== archived.seasonNumber);
+    seasonsDB.seasons.push(archived);
+    saveSeasons();
+  }
+
+  statsDB.users = {};
+  statsDB.meta = {
+    seasonStart: Date.now(),
+    seasonNumber: archived.seasonNumber + 1,
+  };
+  saveStats();
+  return archived;
+}
+
+// ================== SEASON REWARDS ==================
+// Top N on the winnings + wins boards get tokens and a Kaos payout; each board's #1
+// holds the champion role for the next season. Runs once per archived season; a run cut
+// short by a restart is resumed, skipping the places already in archived.rewardsPaid.
+async function awardSeasonRewards(archived) {
+  const cfg = settings.seasonRewards;
+  if (!archived?.players || archived.rewardsPaidAt) return;
+  if (!cfg?.enabled) {
+    // switched off before this season was paid: nothing is owed any more
+    if (archived.rewardsDue) {
+      archived.rewardsDue = false;
+      saveSeasons();
+    }
+    return;
+  }
+
+  const guild = await client.guilds.fetch(GUILD_ID).catch(() => null);
+  if (!guild) return;
+
+  const boards = [
+    { key: "winnings", title: "💰 Top Winnings", rows: archived.topWinnings, value: (x) => x.totalWon, show: (x) => `${x.totalWon.toLocaleString()} ${CURRENCY_NAME}` },
+    { key: "wins", title: "🥇 Top Wins", rows: archived.topWins, value: (x) => x.wins, show: (x) => `${x.wins} wins` },
+  ];
+
+  const paid = archived.rewardsPaid || {};
+  const fields = [];
+  const champions = new Set();
+  for (const board of boards) {
+    const lines = [];
+    // racers who won nothing this season don't place, even on a quiet board
+    board.rows
+      .filter((x) => board.value(x) > 0)
+      .slice(0, cfg.topN)
+      .forEach((x, i) => {
+        const tokens = cfg.tokens[i] || 0;
+        const points = cfg.kaosPoints[i] || 0;
+        const place = `${board.key}:${i + 1}`;
+        if (!paid[place]) {
+          if (tokens > 0) {
+            adjustTokens(x.uid, tokens, "season_reward", { note: `Season #${archived.seasonNumber} • ${board.title} #${i + 1}` });
+          }
+          // the ledger ref also catches a payout queued just before the marker was saved
+          const ref = `season:${archived.seasonNumber}:${place}`;
+          if (points > 0 && !PAYOUTS.findByRef(ref)) PAYOUTS.enqueue(guild.id, x.uid, points, "season", ref);
+          paid[place] = x.uid;
+        }
+        if (i === 0) champions.add(x.uid);
+
+        const prize = [tokens ? `+${tokens} tokens` : "", points ? `${points.toLocaleString()} ${CURRENCY_NAME}` : ""]
+          .filter(Boolean)
+          .join(" • ");
+        lines.push(`**${i + 1}.** ${tag(x.uid)} — ${board.show(x)}${prize ? ` → ${prize}` : ""}`);
+      });
+    fields.push({ name: board.title, value: lines.join("\n") || "`No racers.`", inline: false });
+  }
+  saveTokens();
+  archived.rewardsPaid = paid;
+  saveSeasons();
+
+  // champion role moves to the new champions
+  if (cfg.championRoleId) {
+    for (const uid of seasonsDB.championRoleHolders || []) {
+      if (champions.has(uid)) continue;
+      const m = await guild.members.fetch(uid).catch(() => null);
+      if (m) await m.roles.remove(cfg.championRoleId).catch(() => {});
+    }
+    for (const uid of champions) {
+      const m = await guild.members.fetch(uid).catch(() => null);
+      if (m) await m.roles.add(cfg.championRoleId).catch(() => {});
+    }
+    seasonsDB.championRoleHolders = Array.from(champions);
+    fields.push({ name: "👑 Champion Role", value: `<@&${cfg.championRoleId}> → ${Array.from(champions).map(tag).join(", ") || "—"}`, inline: false });
+  }
+
+  archived.rewardsPaidAt = Date.now();
+  saveSeasons();
+
+  const recap = new EmbedBuilder()
+    .setColor(COLOR_ACCENT)
+    .setTitle(`🏁 ${BRAND} — SEASON #${archived.seasonNumber} RECAP`)
+    .setDescription(
+      `${header("SEASON COMPLETE")}\n\n` +
+        `🗓️ <t:${Math.floor(archived.start / 1000)}:d> → <t:${Math.floor(archived.end / 1000)}:d>\n` +
+        `👥 **${archived.players}** racers • 🏁 **${archived.totalRaces}** races\n\n` +
+        `Season #${archived.seasonNumber + 1} is live — \`/race play\` to start climbing.`
+    )
+    .addFields(...fields)
+    .setFooter({ text: FOOTER });
+
+  if (cfg.recapChannelId) {
+    const ch = await guild.channels.fetch(cfg.recapChannelId).catch(() => null);
+    if (ch && "send" in ch) await ch.send({ embeds: [recap] }).catch(() => {});
+  }
+  await auditLog(guild, recap);
+}
+
+// Startup: finish paying seasons that rolled over while rewards were on but never got to rewardsPaidAt
+function resumeSeasonRewards() {
+  for (const archived of seasonsDB.seasons) {
+    if (!archived.rewardsDue || archived.rewardsPaidAt) continue;
+    console.log(`♻️ Resuming season #${archived.seasonNumber} rewards`);
+    awardSeasonRewards(archived).catch((e) => console.error("Season rewards error:", e?.message || e));
+  }
+}
+
 function seasonCheckAndResetIfNeeded() {
   const days = settings.seasonLengthDays || 14;
   const ms = days * 24 * 60 * 60 * 1000;
   const start = statsDB.meta?.seasonStart || Date.now();
   if (Date.now() - start >= ms) {
-    statsDB.users = {};
-    statsDB.meta = {
-      seasonStart: Date.now(),
-      seasonNumber: (statsDB.meta?.seasonNumber || 1) + 1,
-    };
-    saveStats();
+    const archived = rollSeason("auto");
     console.log(`🧼 Season auto-reset. New season #${statsDB.meta.seasonNumber}`);
+    awardSeasonRewards(archived).catch((e) => console.error("Season rewards error:", e?.message || e));
   }
 }
 
@@ -214,47 +706,107 @@ function seasonCheckAndResetIfNeeded() {
 function newSeed() {
   return crypto.randomInt(1, 2147483647);
 }
-function makeRng(seed) {
-  let t = seed >>> 0;
-  return function rng() {
-    t += 0x6d2b79f5;
-    let x = t;
-    x = Math.imul(x ^ (x >>> 15), x | 1);
-    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
-    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
-  };
+
+// ================== PROVABLY FAIR (commit / reveal) ==================
+// The race embed shows sha256("seed:salt") before launch; results reveal both so
+// anyone can re-hash and replay the race with /race verify.
+const FAIRNESS_FILE = path.join(DATA_DIR, "racefairness.json");
+const FAIRNESS_MAX_RECORDS = 2000;
+
+const fairnessDB = loadJsonSafe(FAIRNESS_FILE, { races: {} });
+if (!fairnessDB.races || typeof fairnessDB.races !== "object") fairnessDB.races = {};
+
+function saveFairness() {
+  saveJson(FAIRNESS_FILE, fairnessDB);
 }
 
-// ================== GAME CONFIG ==================
-const DAILY_TOKENS = 1;
+function newSalt() {
+  return crypto.randomBytes(8).toString("hex");
+}
+function seedCommitment(seed, salt) {
+  return crypto.createHash("sha256").update(`${seed}:${salt}`).digest("hex");
+}
 
-// Risk tiers (token costs: 1/2/3)
-const TIERS = {
-  low: { key: "low", label: "Low", emoji: "🧯", tokenCost: 1, payouts: { 1: 250000, 2: 75000, 3: 25000, 4: 10000, 5: 5000 } },
-  standard: { key: "standard", label: "Standard", emoji: "🧨", tokenCost: 2, payouts: { 1: 1000000, 2: 250000, 3: 60000, 4: 30000, 5: 15000 } },
-  high: { key: "high", label: "High", emoji: "🔥", tokenCost: 3, payouts: { 1: 2000000, 2: 500000, 3: 120000, 4: 60000, 5: 30000 } },
-};
+// record what a replay needs (tier + streak drag per colour); places are filled in at finalize
+function recordFairness(commit, record) {
+  fairnessDB.races[commit] = { ...record, createdAt: Date.now() };
+
+  const keys = Object.keys(fairnessDB.races);
+  if (keys.length > FAIRNESS_MAX_RECORDS) {
+    keys
+      .sort((a, b) => fairnessDB.races[a].createdAt - fairnessDB.races[b].createdAt)
+      .slice(0, keys.length - FAIRNESS_MAX_RECORDS)
+      .forEach((k) => delete fairnessDB.races[k]);
+  }
+  saveFairness();
+}
+function fairnessRevealText(seed, salt) {
+  return `🔓 **Seed:** \`${seed}\` • **Salt:** \`${salt}\`\nVerify: \`/race verify seed:${seed} salt:${salt}\``;
+}
 
-const TRACK_LEN = 18;
-const TICK_MS = 1400;
+// The seed commit doesn't cover the drag inputs (win streaks, garage upgrades, edge), so they are
+// published next to it at launch with a fingerprint; /race verify recomputes it from the record.
+function fairnessInputsFingerprint(commit, rec) {
+  const sorted = (obj) => Object.entries(obj || {}).sort(([a], [b]) => a.localeCompare(b));
+  const canon = JSON.stringify({
+    houseEdge: rec.houseEdge,
+    streakMult: rec.streakMult,
+    trackLen: rec.trackLen,
+    racers: rec.racers || null,
+    seededTies: !!rec.seededTies,
+    streaks: sorted(rec.streaks),
+    mods: sorted(rec.mods).map(([k, l]) => [k, l.engine || 0, l.hull || 0, l.nitro || 0]),
+  });
+  return crypto.createHash("sha256").update(`${commit}:${canon}`).digest("hex").slice(0, 16);
+}
+
+function fairnessInputsText(commit) {
+  const rec = fairnessDB.races[commit];
+  if (!rec) return "";
+  const streaks = Object.entries(rec.streaks || {})
+    .map(([k, v]) => `${COLOUR_BY_KEY.get(k)?.label || k} ${v}`)
+    .join(" • ");
+  const garage = Object.entries(rec.mods || {})
+    .map(([k, levels]) => `${COLOUR_BY_KEY.get(k)?.label || k} ${garageUpgradeText(levels)}`)
+    .join(" • ");
+  return (
+    `🔥 **Win streaks at launch:** ${streaks || "none"}\n` +
+    `🔧 **Garage upgrades:** ${garage || "none"}\n` +
+    `🧾 **Inputs fingerprint:** \`${fairnessInputsFingerprint(commit, rec)}\``
+  );
+}
+
+function recordFairnessPlaces(commit, places) {
+  const rec = fairnessDB.races[commit];
+  if (!rec) return;
+  rec.places = places.map((p) => p.key);
+  saveFairness();
+}
 
-// Cooldowns
-const SOLO_COOLDOWN_SEC = 90;
-const PARTY_COOLDOWN_SEC = 150;
+// ================== GAME CONFIG ==================
+// Track length, tick speed, cooldowns, daily tokens and tiers live in settings.json.
 
-const lastSoloPlay = new Map();
-const lastPartyPlay = new Map();
+// Enabled tier by key (null if unknown or disabled)
+function playableTier(key) {
+  const t = settings.tiers[key];
+  return t && !t.disabled ? t : null;
+}
+function enabledTiers() {
+  return Object.values(settings.tiers).filter((t) => !t.disabled);
+}
 
 function nowSec() {
   return Math.floor(Date.now() / 1000);
 }
+// map = lastSoloPlay / lastPartyPlay (uid -> last play, persisted in racestate.json)
 function onCooldown(map, userId, cd) {
-  const t = map.get(userId) || 0;
+  const t = map[userId] || 0;
   const left = t + cd - nowSec();
   return left > 0 ? left : 0;
 }
 function setCooldown(map, userId) {
-  map.set(userId, nowSec());
+  map[userId] = nowSec();
+  saveRaceState();
 }
 
 // ================== COLOURS ==================
@@ -281,9 +833,9 @@ function placeBadge(place) {
   if (place === 4) return "4️⃣";
   return "5️⃣";
 }
-function pct(pos) {
-  const p = Math.max(0, Math.min(TRACK_LEN - 1, pos));
-  return Math.round(((p + 1) / TRACK_LEN) * 100);
+function pct(pos, trackLen) {
+  const p = Math.max(0, Math.min(trackLen - 1, pos));
+  return Math.round(((p + 1) / trackLen) * 100);
 }
 
 // Custom emoji named "rhib"
@@ -292,10 +844,11 @@ function getRhibEmoji(guild) {
   return e ? e.toString() : "🚤";
 }
 
-// Clean centered track
-function renderLine(col, pos, badge = "", rhibEmoji = "🚤") {
-  const waves = Array.from("🌊".repeat(TRACK_LEN));
-  const p = Math.min(TRACK_LEN - 1, Math.max(0, pos));
+// Clean centered track; a trail skin replaces the last few waves behind the boat
+function renderLine(col, pos, badge = "", rhibEmoji = "🚤", trackLen = settings.trackLen, trail = null) {
+  const waves = Array.from("🌊".repeat(trackLen));
+  const p = Math.min(trackLen - 1, Math.max(0, pos));
+  if (trail) for (let i = Math.max(0, p - 3); i < p; i++) waves[i] = trail;
   waves[p] = rhibEmoji;
   return `${col.label}: ${waves.join("")} 🏁 ${badge}`.trim();
 }
@@ -322,20 +875,30 @@ function buildHelpEmbed() {
     .setDescription(
       `${header("HOW IT WORKS")}\n\n` +
         `🎟️ **Tokens:**\n` +
-        `• Daily: \`/tokens daily\` (**${DAILY_TOKENS}/day**)\n` +
+        `• Daily: \`/tokens daily\` (**${settings.dailyTokens}/day**, more on a streak, +**${settings.dailyWeekBonus}** on day 7)\n` +
         `• Balance: \`/balance\`\n\n` +
-        `🏇 **Solo:** \`/race colour:<colour> tier:<low|standard|high>\`\n` +
+        `🏇 **Solo:** \`/race play colour:<colour> tier:<tier>\`\n` +
+        `⚔️ **Duel:** \`/race duel user:<@u> tier:<tier> wager:<tokens>\` (winner takes the pot, ${settings.duelRakePct}% rake)\n` +
+        `🔎 **Verify:** \`/race verify seed:<n> salt:<s>\` (seed + salt revealed in results)\n` +
         `👥 **Party:**\n` +
-        `• \`/raceparty create tier:<low|standard|high> colour:<colour>\` (auto-starts in 60s)\n` +
-        `• \`/raceparty join colour:<colour>\` (unique colours)\n` +
-        `• \`/raceparty start\` (host, optional)\n\n` +
+        `• \`/raceparty create tier:<tier> colour:<colour>\` (auto-starts in 60s)\n` +
+        `• \`/raceparty join colour:<colour> [lobby:<code>]\` (unique colours)\n` +
+        `• \`/raceparty list\` (open lobbies)\n` +
+        `• Or use the **Join / Leave / Start / Cancel** buttons on the lobby\n` +
+        `• \`/raceparty start\` (host, optional)\n` +
+        `• \`ranked:true\` on create — only players near your ⭐ party rating can join\n` +
+        `• Spectators: **🎰 Bet** on a boat from the lobby (parimutuel pool, locks at launch)\n\n` +
         `🎚️ **Risk Tiers:**\n` +
-        `${tierLine(TIERS.low)}\n` +
-        `${tierLine(TIERS.standard)}\n` +
-        `${tierLine(TIERS.high)}\n\n` +
+        `${enabledTiers().map(tierLine).join("\n")}\n\n` +
         `💰 **Payouts depend on tier** (Kaos queued).\n\n` +
-        `📊 Stats: \`/racestats\`\n` +
-        `🏆 Leaderboards: \`/top\`, \`/topwins\``
+        `🏆 **Tournaments:** \`/racetourney register\` • \`/racetourney bracket\`\n` +
+        `📅 **Scheduled races:** \`/raceevent list\`\n\n` +
+        `📊 Stats: \`/racestats [season]\` • History: \`/racehistory [user]\`\n` +
+        `📜 Weekly quests: \`/quests\` (token rewards, new quests every Monday)\n` +
+        `🔧 Garage: \`/garage view\` • \`/garage upgrade\` (solo + party boats)\n` +
+        `🛒 Shop: \`/shop list\` • \`/shop buy\` (roles, giveaway entries, boat emojis, ${CURRENCY_NAME})\n` +
+        `💱 Kaos points → tokens: \`/tokens buy amount:<n>\`\n` +
+        `🏆 Leaderboards: \`/top [season] [field]\`, \`/topwins [season]\`, \`/halloffame\``
     )
     .setFooter({ text: FOOTER });
 }
@@ -362,46 +925,293 @@ async function auditLog(guild, embed) {
   await ch.send({ embeds: [embed] }).catch(() => {});
 }
 
-// ================== KAOS PAYOUT (BATCHED) ==================
-async function kaosAddPoints(guild, discordId, amount) {
-  if (!KAOS_CHANNEL_ID) {
-    console.warn("⚠️ KAOS_CHANNEL_ID missing; payouts skipped.");
-    return;
-  }
-  const cmd = `[KAOS][ADD][<@${discordId}>][1]=[POINTS][${amount}]`;
+// ================== KAOS PAYOUT (LEDGER) ==================
+// Posts a [KAOS] command (webhook or Kaos channel). Returns the sent message; throws on failure.
+async function sendKaosCommand(guild, cmd) {
+  if (!KAOS_CHANNEL_ID) throw new Error("KAOS_CHANNEL_ID missing");
 
   if (useWebhook) {
-    if (!kaosWebhook) {
-      console.warn("⚠️ KAOS_USE_WEBHOOK=true but KAOS_WEBHOOK_URL missing; payouts skipped.");
-      return;
-    }
-    await kaosWebhook.send({ content: cmd }).catch(() => {});
-    return;
+    if (!kaosWebhook) throw new Error("KAOS_USE_WEBHOOK=true but KAOS_WEBHOOK_URL missing");
+    return kaosWebhook.send({ content: cmd });
   }
 
   const ch = await guild.channels.fetch(KAOS_CHANNEL_ID).catch(() => null);
-  if (!ch || !("send" in ch)) {
-    console.warn("⚠️ KAOS_CHANNEL_ID not found or not text channel; payouts skipped.");
-    return;
+  if (!ch || !("send" in ch)) throw new Error("KAOS_CHANNEL_ID not found or not text channel");
+  return ch.send({ content: cmd });
+}
+
+// Throws on failure so the ledger can retry.
+async function kaosAddPoints(guild, discordId, amount) {
+  await sendKaosCommand(guild, kaosCommand("ADD", discordId, amount));
+}
+
+const PAYOUTS = createPayoutLedger({
+  dataDir: DATA_DIR,
+  isFrozen: () => !!settings.freezePayouts,
+  send: async (entry) => {
+    const guild = await client.guilds.fetch(entry.guildId).catch(() => null);
+    if (!guild) throw new Error(`guild ${entry.guildId} unavailable`);
+    if (!kaosBridgeOn) return kaosAddPoints(guild, entry.userId, entry.amount);
+
+    // bridge on: the ADD is tracked until Kaos answers (see the "payout" handler below)
+    const r = await KAOS.request({
+      guildId: entry.guildId,
+      purpose: "payout",
+      action: "ADD",
+      userId: entry.userId,
+      amount: entry.amount,
+      timeoutSec: settings.kaosReplyTimeoutSec,
+      meta: { payoutId: entry.id },
+    });
+    return r.id;
+  },
+});
+
+const PAYOUT_CONFIRM_LABELS = {
+  waiting: "⏳ awaiting Kaos",
+  confirmed: "✅ confirmed",
+  rejected: "⛔ rejected by Kaos",
+  unconfirmed: "❔ unconfirmed",
+};
+
+function payoutLine(e) {
+  const err = e.lastError && e.status !== "sent" ? ` • ⚠️ ${e.lastError.slice(0, 80)}` : "";
+  return (
+    `\`${e.id}\` • **${e.status.toUpperCase()}** • ${tag(e.userId)} • ${e.amount.toLocaleString()} ${CURRENCY_NAME} • ` +
+    `${e.source} • <t:${e.createdAt}:R> • tries ${e.attempts}${err}` +
+    (e.confirm ? ` • ${PAYOUT_CONFIRM_LABELS[e.confirm]}` : "") +
+    (e.resends ? ` • resent ${e.resends}x` : "") +
+    (e.status === "void" && e.kaosRequestId ? ` • ⚠️ voided mid-send (Kaos request \`${e.kaosRequestId}\`)` : "")
+  );
+}
+
+// ================== KAOS BRIDGE ==================
+// Tracks [KAOS] commands until Kaos answers (kaosbridge.js, persisted across restarts):
+// - payouts: the ledger marks each sent ADD confirmed / rejected / unconfirmed
+// - /tokens buy: debits points with a [KAOS][REMOVE] and credits tokens only once Kaos confirms;
+//   no reply in time = nothing credited, and a late confirmation still credits
+const KAOS = createKaosBridge({
+  dataDir: DATA_DIR,
+  channelId: KAOS_CHANNEL_ID,
+  getRules: () => settings.kaosReplyRules,
+  selfId: () => client.user?.id || null,
+  send: async (guildId, cmd) => {
+    const guild = await client.guilds.fetch(guildId).catch(() => null);
+    if (!guild) throw new Error(`guild ${guildId} unavailable`);
+    return sendKaosCommand(guild, cmd);
+  },
+});
+
+// request id -> the /tokens buy interaction, so the ephemeral reply follows along (lost on restart)
+const tokenBuyReplies = new Map();
+
+function tokenBuyText(r, outcome) {
+  const { tokens, points } = r.meta;
+  const what = `**${points.toLocaleString()}** Kaos points → **${tokens}** token(s)`;
+  if (outcome === "confirmed") {
+    return `✅ Kaos confirmed ${what}${r.late ? " (late reply)" : ""}.\n🎟️ Tokens: **${getTok(r.userId).tokens}**`;
+  }
+  if (outcome === "failed") return `❌ Kaos declined ${what} — nothing was taken or credited.`;
+  if (outcome === "timeout") {
+    return (
+      `⌛ Kaos didn't answer in time for ${what}, so no tokens were credited.\n` +
+      `If Kaos did take the points, the tokens arrive when its reply shows up — otherwise open a ticket with ID \`${r.id}\`.`
+    );
   }
-  await ch.send({ content: cmd }).catch(() => {});
+  return `⏳ Asked Kaos for ${what} • waiting up to <t:${r.deadline}:R> • ID \`${r.id}\``;
 }
 
-const payoutQueueByGuild = new Map(); // guildId -> Promise chain
-function enqueuePayout(guild, discordId, amount) {
-  const guildId = guild.id;
-  const prev = payoutQueueByGuild.get(guildId) || Promise.resolve();
+KAOS.on("token_buy", async (r, outcome) => {
+  if (outcome === "confirmed") {
+    adjustTokens(r.userId, r.meta.tokens, "kaos_buy", { note: `${r.meta.points} points • ${r.id}` });
+    saveTokens();
+  }
 
-  const next = prev
-    .then(async () => {
-      await new Promise((r) => setTimeout(r, 850));
-      if (settings.freezePayouts) return;
-      await kaosAddPoints(guild, discordId, amount);
-    })
-    .catch(() => {});
+  const ix = tokenBuyReplies.get(r.id);
+  if (ix) {
+    await ix.editReply({ content: tokenBuyText(r, outcome) }).catch(() => {});
+    // keep it after a timeout: a late reply can still land inside the interaction's 15 minutes
+    if (outcome !== "timeout") tokenBuyReplies.delete(r.id);
+  }
+
+  const guild = await client.guilds.fetch(r.guildId).catch(() => null);
+  if (!guild) return;
+  await auditLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle(`💱 Audit • Token purchase ${outcome}${r.late ? " (late)" : ""}`)
+      .addFields(
+        { name: "User", value: `${tag(r.userId)} (${r.userId})`, inline: false },
+        { name: "Kaos points", value: r.meta.points.toLocaleString(), inline: true },
+        { name: "Tokens", value: `${outcome === "confirmed" ? "+" : ""}${r.meta.tokens}`, inline: true },
+        { name: "Request", value: `\`${r.id}\``, inline: true }
+      )
+      .setFooter({ text: FOOTER })
+  );
+});
+
+// Kaos' answer to a payout ADD (the ledger ignores answers to an older send attempt)
+KAOS.on("payout", async (r, outcome) => {
+  const confirm = outcome === "timeout" ? "unconfirmed" : outcome === "failed" ? "rejected" : "confirmed";
+  const e = PAYOUTS.setConfirmation(r.meta.payoutId, r.id, confirm);
+  if (!e || confirm !== "rejected") return;
+
+  const guild = await client.guilds.fetch(e.guildId).catch(() => null);
+  if (!guild) return;
+  await auditLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle("⛔ Audit • Kaos rejected a payout")
+      .setDescription(`${payoutLine(e)}\nCheck it with \`/raceadmin reconcile\`.`)
+      .setFooter({ text: FOOTER })
+  );
+});
+
+// /raceadmin reconcile: sent payouts Kaos never confirmed, with a resend button each
+const RECONCILE_MAX = 15;
+
+function reconcileReply(minutes) {
+  const all = PAYOUTS.unconfirmed(minutes * 60);
+  const shown = all.slice(0, RECONCILE_MAX);
+  const note = kaosBridgeOn ? "" : "\n⚠️ `KAOS_BRIDGE` is off, so new payouts aren't tracked.";
+
+  const embed = new EmbedBuilder()
+    .setColor(COLOR_NEUTRAL)
+    .setTitle(`🧾 Payout Reconcile • no Kaos confirmation after ${minutes} min`)
+    .setDescription(
+      (shown.length ? shown.map(payoutLine).join("\n") : "`Nothing unconfirmed for that long.`") +
+        (all.length > shown.length ? `\n…and **${all.length - shown.length}** more` : "") +
+        note +
+        (shown.length ? "\n\n🔁 **Resend** only if Kaos really never paid — check the user's balance first." : "")
+    )
+    .setFooter({ text: FOOTER });
+
+  const rows = [];
+  for (let i = 0; i < shown.length; i += 5) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        shown.slice(i, i + 5).map((e) =>
+          new ButtonBuilder().setCustomId(`payout:resend:${e.id}`).setLabel(`Resend ${e.id}`).setEmoji("🔁").setStyle(ButtonStyle.Secondary)
+        )
+      )
+    );
+  }
+  return { embeds: [embed], components: rows, ephemeral: true };
+}
+
+// payout:resend:<id>
+async function handlePayoutComponent(interaction) {
+  if (!interaction.isButton() || !interaction.customId.startsWith("payout:")) return false;
+
+  if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator)) {
+    await interaction.reply({ content: "❌ Admin only.", ephemeral: true });
+    return true;
+  }
+
+  const [, action, id] = interaction.customId.split(":");
+  if (action !== "resend") return false;
+
+  const e = PAYOUTS.resend(id);
+  if (!e) {
+    await interaction.reply({ content: `❌ Payout \`${id}\` was confirmed, voided or already resent.`, ephemeral: true });
+    return true;
+  }
+
+  await auditLog(
+    interaction.guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle("🔁 Audit • Unconfirmed payout resent")
+      .setDescription(`${payoutLine(e)}\nBy: ${tag(interaction.user.id)}`)
+      .setFooter({ text: FOOTER })
+  );
+  await interaction.reply({ content: `🔁 Re-queued:\n${payoutLine(e)}`, ephemeral: true });
+  return true;
+}
+
+// A token must never be worth more Spirals than its Kaos price: the price has to beat the best
+// per-token return of any enabled tier (maxed garage boat, best lane). Simulated off the event
+// loop and cached until the tiers or track length change.
+let priceFloorCache = { key: null, floor: 0, best: null };
+async function tokenPriceFloor(tiers = enabledTiers(), trackLen = settings.trackLen) {
+  const key = JSON.stringify([tiers, trackLen]);
+  if (priceFloorCache.key !== key) {
+    const best = await bestPerTokenInWorker(tiers, { trackLen });
+    priceFloorCache = { key, floor: Math.ceil(best.perToken / 1000) * 1000, best };
+  }
+  return priceFloorCache;
+}
+
+// Run before any change to the price, the enabled tiers or the track length.
+// null if the price still holds, else { floor, why } for the refusal.
+async function tokenPriceProblem(tiers, trackLen, pointsPerToken) {
+  const { floor, best } = await tokenPriceFloor(tiers, trackLen);
+  if (pointsPerToken >= floor) return null;
+  const tier = tiers.find((t) => t.key === best.tierKey);
+  return {
+    floor,
+    why:
+      `a maxed ${COLOUR_BY_KEY.get(best.colour)?.label || best.colour} boat on **${tier?.label || best.tierKey}** ` +
+      `returns up to ~${Math.round(best.perToken).toLocaleString()} ${CURRENCY_NAME} per token`,
+  };
+}
+
+// tier create/edit/enable: refuse tiers that would pay more per token than a token costs
+async function tierPriceRefusal(interaction, tier) {
+  const tiers = enabledTiers().filter((t) => t.key !== tier.key);
+  if (!tier.disabled) tiers.push(tier);
+
+  await interaction.deferReply({ ephemeral: true });
+  let problem;
+  try {
+    problem = await tokenPriceProblem(tiers, settings.trackLen, settings.pointsPerToken);
+  } catch (e) {
+    console.error("token price floor error:", e?.message || e);
+    return "❌ Couldn't simulate the tier returns — tier not saved.";
+  }
+  if (!problem) return null;
+  return (
+    `❌ With this tier, ${problem.why} — more than the **${settings.pointsPerToken.toLocaleString()}** Kaos point token price ` +
+    `(needs at least **${problem.floor.toLocaleString()}**). Raise \`points_per_token\` first or lower the payouts. Tier not saved.`
+  );
+}
+
+async function buyTokensWithPoints(interaction, tokens) {
+  const userId = interaction.user.id;
+  if (!kaosBridgeOn || !KAOS_CHANNEL_ID) {
+    return interaction.reply({ content: "❌ Buying tokens with Kaos points isn't enabled on this server.", ephemeral: true });
+  }
+  if (settings.freezePayouts) return interaction.reply({ content: "🧊 Kaos is frozen right now — try again later.", ephemeral: true });
+
+  const pending = KAOS.list({ purpose: "token_buy", status: "waiting", userId })[0];
+  if (pending) {
+    return interaction.reply({ content: `⏳ Your last purchase (\`${pending.id}\`) is still waiting for Kaos.`, ephemeral: true });
+  }
+
+  const points = tokens * settings.pointsPerToken;
+  await interaction.deferReply({ ephemeral: true });
+
+  let r;
+  try {
+    r = await KAOS.request({
+      guildId: interaction.guildId,
+      purpose: "token_buy",
+      action: "REMOVE",
+      userId,
+      amount: points,
+      timeoutSec: settings.kaosReplyTimeoutSec,
+      meta: { tokens, points },
+    });
+  } catch (e) {
+    return interaction.editReply({ content: `❌ Couldn't reach Kaos: ${e?.message || e}` });
+  }
 
-  payoutQueueByGuild.set(guildId, next);
-  return next;
+  tokenBuyReplies.set(r.id, interaction);
+  await interaction.editReply({ content: tokenBuyText(r, "waiting") }).catch(() => {});
+  // Kaos may have answered while that edit was in flight
+  if (r.status !== "waiting") await interaction.editReply({ content: tokenBuyText(r, r.status) }).catch(() => {});
 }
 
 // ================== WOW PRESENTATION ==================
@@ -421,80 +1231,518 @@ const COMMENTARY = [
   "📣 *“What a line!”*",
 ];
 
-function rand(arr, rng) {
-  return arr[Math.floor(rng() * arr.length)];
-}
-
-// ================== MOVEMENT / HOUSE EDGE ==================
-function rollBaseStep(rng) {
-  const r = rng();
-  if (r > 0.992) return 3;
-  if (r > 0.93) return 2;
-  if (r > 0.58) return 1;
-  return 0;
-}
-function maybeEvent(rng) {
-  const r = rng();
-  if (r < 0.06) return { kind: "BOOST", text: "🧨 Boost wake!" };
-  if (r < 0.10) return { kind: "STALL", text: "🌫️ Engine sputter..." };
-  return null;
+// ================== RACE ENGINE ==================
+const SOLO_COMMENTARY_CHANCE = 0.18;
+const PARTY_COMMENTARY_CHANCE = 0.2;
+
+// Whole race is simulated up front from the seed; live modes only play the frames back
+// edge: { houseEdge, streakMult } from the tier as it was at launch
+// racers: colour keys on the water (default all five; duels use two)
+// seededTies: PvP modes settle photo finishes with a seeded coin flip instead of track order
+function simulateColourRace(
+  seed,
+  edge,
+  streakByColour,
+  commentaryChance,
+  trackLen,
+  racers = COLOURS.map((c) => c.key),
+  mods = {},
+  seededTies = false
+) {
+  return simulateRace({
+    seed,
+    houseEdge: edge.houseEdge,
+    streakMult: edge.streakMult,
+    racers,
+    streaks: streakByColour,
+    mods,
+    trackLen,
+    commentaryChance,
+    commentaryCount: COMMENTARY.length,
+    seededTies,
+  });
 }
-function houseEdgeModifier(rankIndex, total, tierKey, rng) {
-  let drag = 0;
-  const strength = tierKey === "high" ? 1.0 : tierKey === "standard" ? 0.7 : 0.55;
 
-  if (rankIndex === 0 && rng() < 0.55 * strength) drag -= 1;
-  if (rankIndex === 1 && rng() < 0.25 * strength) drag -= 1;
-
-  if (rankIndex >= total - 2 && rng() < 0.45 * strength) drag += 1;
-  if (rankIndex >= total - 1 && rng() < 0.65 * strength) drag += 1;
-
-  return drag;
-}
-function streakPenalty(winStreak, tierKey, rng) {
-  if (!winStreak || winStreak <= 0) return 0;
-  const mult = tierKey === "high" ? 1.15 : tierKey === "standard" ? 1.0 : 0.85;
-  const chance = Math.min(0.22, 0.08 + winStreak * 0.045) * mult;
-  return rng() < chance ? -1 : 0;
-}
-function finalSprintBoost(pos, rng) {
-  if (pos < TRACK_LEN - 5) return 0;
-  return rng() < 0.18 ? 1 : 0;
+// frame -> racers with colour labels, places (last frame only) and commentary text
+function displayFrame(sim, index) {
+  const frame = sim.frames[index];
+  const racers = frame.racers.map((r) => ({ ...COLOUR_BY_KEY.get(r.key), ...r }));
+  const places =
+    index === sim.frames.length - 1
+      ? sim.places.map((p) => ({ ...racers.find((r) => r.key === p.key), place: p.place }))
+      : [];
+  const commentary = frame.commentaryIndex === null ? null : COMMENTARY[frame.commentaryIndex];
+  return { racers, places, commentary };
 }
 
 // ================== ACHIEVEMENTS ==================
-const ACH = {
-  FIRST_RACE: { key: "first_race", name: "First Splash", tokens: 1 },
-  FIRST_WIN: { key: "first_win", name: "Harbor Legend", tokens: 2 },
-  PHOTO_FINISH: { key: "photo_finish", name: "Photo Finish", tokens: 1 },
-  STREAK_3: { key: "streak_3", name: "On Fire", tokens: 2 },
-  PODIUM_5: { key: "podium_5", name: "Podium Hunter", tokens: 2 },
-  PARTY_WIN: { key: "party_win", name: "Crew Captain", tokens: 2 },
+// Achievements are data: unlocked when a stat reaches a threshold and/or a per-race
+// predicate holds. evaluateAchievements() runs once per racer after every race.
+// Admins add custom (optionally season-only) ones with /raceadmin achievement; they
+// live in data/achievements.json next to the built-ins below.
+const ACHIEVEMENTS_FILE = path.join(DATA_DIR, "achievements.json");
+
+// stats an achievement can count (per-season, like the rest of racestats.json)
+const ACH_STATS = {
+  races: "Races",
+  wins: "Wins",
+  podiums: "Podiums",
+  bestWinStreak: "Best win streak",
+  totalWon: `${CURRENCY_NAME} won`,
+  ratedRaces: "Rated party races",
+  rating: "Party rating",
+  partyWins: "Party wins",
+  duelWins: "Duel wins",
+  photoFinishes: "Photo finishes",
+  tourneyWins: "Tournament wins",
 };
 
-function awardAchievement(userId, achKey) {
-  const s = getStats(userId);
-  if (s.achievements?.[achKey]) return null;
+// ctx = { mode, place, photoFinish } of the race just finished
+const ACH_PREDICATES = {
+  win: { label: "Win a race", test: (ctx) => ctx.place === 1 },
+  podium: { label: "Finish on the podium", test: (ctx) => ctx.place <= 3 },
+  photo_finish: { label: "Race in a photo finish", test: (ctx) => ctx.photoFinish },
+  party_win: { label: "Win a party race", test: (ctx) => ctx.mode === "party" && ctx.place === 1 },
+  duel_win: { label: "Win a duel", test: (ctx) => ctx.mode === "duel" && ctx.place === 1 },
+};
 
-  const def = Object.values(ACH).find((a) => a.key === achKey);
-  if (!def) return null;
+const BUILTIN_ACHIEVEMENTS = [
+  { key: "first_race", name: "First Splash", stat: "races", threshold: 1, tokens: 1 },
+  { key: "first_win", name: "Harbor Legend", stat: "wins", threshold: 1, tokens: 2 },
+  { key: "photo_finish", name: "Photo Finish", stat: "photoFinishes", threshold: 1, tokens: 1 },
+  { key: "streak_3", name: "On Fire", stat: "bestWinStreak", threshold: 3, tokens: 2 },
+  { key: "podium_5", name: "Podium Hunter", stat: "podiums", threshold: 5, tokens: 2 },
+  { key: "party_win", name: "Crew Captain", stat: "partyWins", threshold: 1, tokens: 2 },
+  { key: "tourney_champ", name: "Tournament Champion", stat: "tourneyWins", threshold: 1, tokens: 3 },
+];
 
-  s.achievements[achKey] = Date.now();
-  getTok(userId).tokens += def.tokens;
-  saveStats();
-  saveTokens();
+const achievementsDB = loadJsonSafe(ACHIEVEMENTS_FILE, { custom: {} });
+if (!achievementsDB.custom || typeof achievementsDB.custom !== "object") achievementsDB.custom = {};
 
-  return def;
+function saveAchievements() {
+  saveJson(ACHIEVEMENTS_FILE, achievementsDB);
 }
 
-function achievementsSummary(userId) {
-  const s = getStats(userId);
-  const keys = Object.keys(s.achievements || {});
-  if (!keys.length) return "`None yet.`";
-  const names = keys
-    .map((k) => Object.values(ACH).find((a) => a.key === k)?.name)
-    .filter(Boolean);
-  return names.length ? names.map((n) => `• ${n}`).join("\n") : "`None yet.`";
+function allAchievements() {
+  return [...BUILTIN_ACHIEVEMENTS, ...Object.values(achievementsDB.custom)];
+}
+
+// seasonal customs only count in the season they were added for
+function activeAchievements() {
+  return allAchievements().filter((a) => !a.season || a.season === statsDB.meta.seasonNumber);
+}
+
+function achievementDef(key) {
+  return allAchievements().find((a) => a.key === key) || null;
+}
+
+function achievementMet(def, s, ctx) {
+  if (def.stat && (Number(s[def.stat]) || 0) < def.threshold) return false;
+  if (def.predicate && !ACH_PREDICATES[def.predicate]?.test(ctx)) return false;
+  return Boolean(def.stat || def.predicate);
+}
+
+function achievementRewardText(a) {
+  const parts = [];
+  if (a.tokens) parts.push(`+${a.tokens} ${a.tokens === 1 ? "token" : "tokens"}`);
+  if (a.roleId) parts.push(`<@&${a.roleId}>`);
+  return `**${a.name}**${parts.length ? ` (${parts.join(", ")})` : ""}`;
+}
+
+async function grantAchievementRole(guild, userId, def) {
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (member) await member.roles.add(def.roleId, `Achievement: ${def.name}`);
+}
+
+// Call after the race's stats are applied. Returns the newly unlocked definitions.
+function evaluateAchievements(guild, userId, ctx) {
+  const s = getStats(userId);
+  const unlocked = [];
+
+  for (const def of activeAchievements()) {
+    if (s.achievements[def.key] || !achievementMet(def, s, ctx)) continue;
+    s.achievements[def.key] = Date.now();
+    if (def.tokens) adjustTokens(userId, def.tokens, "achievement", { note: def.name });
+    if (def.roleId && guild) {
+      grantAchievementRole(guild, userId, def).catch((e) => console.log("Achievement role error:", e?.message || e));
+    }
+    unlocked.push(def);
+  }
+
+  if (unlocked.length) {
+    saveStats();
+    saveTokens();
+  }
+  return unlocked;
+}
+
+function achievementsSummary(s) {
+  const names = Object.keys(s.achievements || {})
+    .map((k) => achievementDef(k)?.name)
+    .filter(Boolean);
+  return names.length ? names.map((n) => `• ${n}`).join("\n") : "`None yet.`";
+}
+
+function progressBar(value, total) {
+  const len = 8;
+  const filled = Math.max(0, Math.min(len, Math.floor((value / total) * len)));
+  return "▰".repeat(filled) + "▱".repeat(len - filled);
+}
+
+// locked achievements: a bar for stat thresholds, the condition for predicate-only ones
+function achievementProgressText(s) {
+  const lines = activeAchievements()
+    .filter((a) => !s.achievements?.[a.key])
+    .map((a) => {
+      const when = a.predicate ? ACH_PREDICATES[a.predicate]?.label : "";
+      if (!a.stat) return `🔒 ${a.name} — ${when}`;
+      const have = Math.min(a.threshold, Math.max(0, Number(s[a.stat]) || 0));
+      return `🔒 ${a.name} ${progressBar(have, a.threshold)} ${have}/${a.threshold}${when ? ` • ${when}` : ""}`;
+    });
+  return lines.length ? lines.join("\n").slice(0, 1024) : "🏁 All unlocked!";
+}
+
+// ================== RACE HISTORY ==================
+// Every race a user takes part in, newest first and capped per user. Entries keep the
+// seed + salt so a disputed result can be replayed with /race verify.
+const RACE_HISTORY_FILE = path.join(DATA_DIR, "racehistory.json");
+const RACE_HISTORY_MAX_PER_USER = 200;
+const RACE_HISTORY_PAGE_SIZE = 8;
+
+const historyDB = loadJsonSafe(RACE_HISTORY_FILE, { users: {} });
+if (!historyDB.users || typeof historyDB.users !== "object") historyDB.users = {};
+
+function saveRaceHistory() {
+  saveJson(RACE_HISTORY_FILE, historyDB);
+}
+
+// entry: { mode, tier, colourKey, place, field, cost, payout, payoutUnit: "kaos"|"tokens", seed, salt, photoFinish }
+// callers save with saveRaceHistory() once per race
+function recordRaceHistory(userId, entry) {
+  const { tier, ...rest } = entry;
+  const list = historyDB.users[userId] || (historyDB.users[userId] = []);
+  list.unshift({ at: Date.now(), tierKey: tier.key, tierLabel: tier.label, tierEmoji: tier.emoji, ...rest });
+  if (list.length > RACE_HISTORY_MAX_PER_USER) list.length = RACE_HISTORY_MAX_PER_USER;
+}
+
+function raceHistoryLine(e, n) {
+  const c = COLOUR_BY_KEY.get(e.colourKey);
+  const payout = e.payoutUnit === "tokens" ? `${e.payout} token(s)` : `${e.payout.toLocaleString()} ${CURRENCY_NAME}`;
+  return (
+    `**${n}.** <t:${Math.floor(e.at / 1000)}:f> • ${RACE_MODE_LABELS[e.mode] || e.mode} • ${e.tierEmoji} ${e.tierLabel}\n` +
+    `${c?.label || e.colourKey} ${placeBadge(e.place)} of ${e.field} • 💰 ${payout}${e.photoFinish ? " • 📸" : ""}\n` +
+    `↪ \`/race verify seed:${e.seed} salt:${e.salt}\``
+  );
+}
+
+// ================== WEEKLY QUESTS ==================
+// Each week (Monday 00:00 UTC) settings.questsPerWeek quests are drawn from the pool in
+// data/quests.json (/raceadmin quest add|remove|list) and snapshotted, so pool edits only
+// reach next week. trackQuests() runs once per racer after every race, next to the
+// achievements, and pays each quest's tokens the moment it completes.
+const QUESTS_FILE = path.join(DATA_DIR, "quests.json");
+const WEEK_SEC = 7 * 24 * 60 * 60;
+
+// quest = { key, label, count, tokens } + optional filters: mode, tier (key), colour (key), maxPlace
+const DEFAULT_QUEST_POOL = [
+  { key: "high_podium", label: "Finish top 3 in a High tier race", count: 1, tokens: 3, tier: "high", maxPlace: 3 },
+  { key: "party_5", label: "Race 5 party races", count: 5, tokens: 3, mode: "party" },
+  { key: "win_purple", label: "Win with Purple", count: 1, tokens: 3, colour: "purple", maxPlace: 1 },
+  { key: "win_red", label: "Win with Red", count: 1, tokens: 3, colour: "red", maxPlace: 1 },
+  { key: "races_10", label: "Finish 10 races", count: 10, tokens: 2 },
+  { key: "wins_3", label: "Win 3 races", count: 3, tokens: 4, maxPlace: 1 },
+  { key: "podiums_5", label: "Finish top 3 five times", count: 5, tokens: 3, maxPlace: 3 },
+  { key: "low_solo_5", label: "Race 5 Low tier solo races", count: 5, tokens: 2, mode: "solo", tier: "low" },
+  { key: "duel_win", label: "Win a duel", count: 1, tokens: 2, mode: "duel", maxPlace: 1 },
+  { key: "tourney_heat", label: "Race a tournament heat", count: 1, tokens: 2, mode: "tourney" },
+];
+
+const questsDB = loadJsonSafe(QUESTS_FILE, { pool: DEFAULT_QUEST_POOL, week: null });
+if (!Array.isArray(questsDB.pool)) questsDB.pool = JSON.parse(JSON.stringify(DEFAULT_QUEST_POOL));
+
+function saveQuests() {
+  saveJson(QUESTS_FILE, questsDB);
+}
+
+// Monday 00:00 UTC of the current week (unix seconds)
+function questWeekStart(now = nowSec()) {
+  const d = new Date(now * 1000);
+  const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+  return Math.floor(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - daysSinceMonday) / 1000);
+}
+
+// rolls the week over (new draw, progress cleared) when needed
+function currentQuestWeek() {
+  const start = questWeekStart();
+  if (questsDB.week?.start !== start) {
+    questsDB.week = {
+      start,
+      quests: shuffled(questsDB.pool).slice(0, settings.questsPerWeek),
+      progress: {},
+      done: {},
+    };
+    saveQuests();
+  }
+  return questsDB.week;
+}
+
+function questMatches(q, ctx) {
+  if (q.mode && q.mode !== ctx.mode) return false;
+  if (q.tier && q.tier !== ctx.tierKey) return false;
+  if (q.colour && q.colour !== ctx.colourKey) return false;
+  if (q.maxPlace && ctx.place > q.maxPlace) return false;
+  return true;
+}
+
+function questRewardText(q) {
+  return `📜 **${q.label}**${q.tokens ? ` (+${q.tokens} token${q.tokens === 1 ? "" : "s"})` : ""}`;
+}
+
+// ctx: { mode, tierKey, colourKey, place }. Returns the quests this race completed.
+function trackQuests(userId, ctx) {
+  const week = currentQuestWeek();
+  const progress = week.progress[userId] || (week.progress[userId] = {});
+  const done = week.done[userId] || (week.done[userId] = []);
+  const completed = [];
+
+  for (const q of week.quests) {
+    if (done.includes(q.key) || !questMatches(q, ctx)) continue;
+    progress[q.key] = (progress[q.key] || 0) + 1;
+    if (progress[q.key] < q.count) continue;
+
+    done.push(q.key);
+    completed.push(q);
+    if (q.tokens) adjustTokens(userId, q.tokens, "quest", { note: q.key });
+  }
+
+  if (completed.some((q) => q.tokens)) saveTokens();
+  saveQuests();
+  return completed;
+}
+
+function questsEmbed(userId) {
+  const week = currentQuestWeek();
+  const progress = week.progress[userId] || {};
+  const done = week.done[userId] || [];
+  const ends = week.start + WEEK_SEC;
+
+  const lines = week.quests.map((q) => {
+    const n = Math.min(progress[q.key] || 0, q.count);
+    const state = done.includes(q.key) ? "✅" : "🔒";
+    return `${state} ${questRewardText(q)}\n${progressBar(n, q.count)} ${n}/${q.count}`;
+  });
+
+  return new EmbedBuilder()
+    .setColor(COLOR_ACCENT)
+    .setTitle(`📜 ${BRAND} — WEEKLY QUESTS`)
+    .setDescription(
+      `${header("THIS WEEK")}\n\n` +
+        (lines.length ? lines.join("\n\n") : "`No quests this week.`") +
+        `\n\n⏳ New quests <t:${ends}:R> (<t:${ends}:f>)`
+    )
+    .setFooter({ text: FOOTER });
+}
+
+function questLine(q) {
+  const filters = [
+    q.mode ? RACE_MODE_LABELS[q.mode] || q.mode : "",
+    q.tier ? `tier ${q.tier}` : "",
+    q.colour ? COLOUR_BY_KEY.get(q.colour)?.label || q.colour : "",
+    q.maxPlace ? (q.maxPlace === 1 ? "win" : `top ${q.maxPlace}`) : "",
+  ].filter(Boolean);
+  return `\`${q.key}\` ${questRewardText(q)} — ×${q.count}${filters.length ? ` • ${filters.join(" • ")}` : ""}`;
+}
+
+// ================== GARAGE ==================
+// Permanent per-player boat upgrades bought with tokens. Engine / hull / nitro levels
+// feed the race engine (see raceengine.js upgradeEffects); boat + trail skins are cosmetic.
+// Upgrades apply to solo and party races; duels and tournaments stay on stock boats.
+const GARAGE_FILE = path.join(DATA_DIR, "garage.json");
+
+// prices[n] = tokens for level n + 1
+const GARAGE_PARTS = {
+  engine: { label: "Engine", emoji: "⚙️", desc: "more forward rolls", prices: [3, 6, 10] },
+  hull: { label: "Hull", emoji: "🛡️", desc: "fewer engine sputters", prices: [2, 4, 8] },
+  nitro: { label: "Nitro", emoji: "🧪", desc: "more boost wakes", prices: [3, 6, 10] },
+};
+const BOAT_SKINS = {
+  speedboat: { label: "Speedboat", emoji: "🚤", price: 2 },
+  sailboat: { label: "Sailboat", emoji: "⛵", price: 3 },
+  canoe: { label: "Canoe", emoji: "🛶", price: 3 },
+  yacht: { label: "Yacht", emoji: "🛥️", price: 5 },
+  ship: { label: "Ship", emoji: "🚢", price: 5 },
+  shark: { label: "Shark", emoji: "🦈", price: 8 },
+};
+const TRAIL_SKINS = {
+  bubbles: { label: "Bubbles", emoji: "🫧", price: 2 },
+  smoke: { label: "Smoke", emoji: "💨", price: 2 },
+  sparkle: { label: "Sparkle", emoji: "✨", price: 4 },
+  fire: { label: "Fire", emoji: "🔥", price: 6 },
+};
+
+const garageDB = loadJsonSafe(GARAGE_FILE, { users: {} });
+if (!garageDB.users || typeof garageDB.users !== "object") garageDB.users = {};
+
+function saveGarage() {
+  saveJson(GARAGE_FILE, garageDB);
+}
+
+// "custom" = boat emoji bought in the /shop (g.customBoat)
+function boatSkinEmoji(g) {
+  if (g.boat === "custom") return g.customBoat || null;
+  return BOAT_SKINS[g.boat]?.emoji || null;
+}
+
+function getGarage(userId) {
+  if (!garageDB.users[userId]) {
+    garageDB.users[userId] = { engine: 0, hull: 0, nitro: 0, boats: [], trails: [], boat: null, trail: null };
+  }
+  return garageDB.users[userId];
+}
+
+// read-only: doesn't create an entry for players who never visited the garage
+function peekGarage(userId) {
+  return garageDB.users[userId] || null;
+}
+
+function garageUpgradeText(levels) {
+  const parts = Object.entries(GARAGE_PARTS)
+    .filter(([key]) => levels?.[key])
+    .map(([key, p]) => `${p.emoji}${levels[key]}`);
+  return parts.join(" ");
+}
+
+// short tag for lobby line-ups: "⚙️2 🧪1 • ⛵✨"
+function garageTag(userId) {
+  const g = peekGarage(userId);
+  if (!g) return "";
+  const skins = `${boatSkinEmoji(g) || ""}${TRAIL_SKINS[g.trail]?.emoji || ""}`;
+  return [garageUpgradeText(g), skins].filter(Boolean).join(" • ");
+}
+
+// Snapshot for a race record: mods feed the engine (and /race verify), skins the track
+function raceGarage(entrants) {
+  const mods = {};
+  const skins = {};
+  for (const { userId, colourKey } of entrants) {
+    const g = peekGarage(userId);
+    if (!g) continue;
+    if (g.engine || g.hull || g.nitro) mods[colourKey] = { engine: g.engine, hull: g.hull, nitro: g.nitro };
+    if (g.boat || g.trail) {
+      skins[colourKey] = { boat: boatSkinEmoji(g), trail: TRAIL_SKINS[g.trail]?.emoji || null };
+    }
+  }
+  return { mods, skins };
+}
+
+// renderLine() with the racer's skins from the race record
+function renderRacerLine(race, r, badge, rhibEmoji) {
+  const skin = race.skins?.[r.key];
+  return renderLine(r, r.pos, badge, skin?.boat || rhibEmoji, race.trackLen, skin?.trail || null);
+}
+
+function garageEmbed(userId) {
+  const g = peekGarage(userId) || { engine: 0, hull: 0, nitro: 0, boats: [], trails: [], boat: null, trail: null };
+
+  const parts = Object.entries(GARAGE_PARTS).map(([key, p]) => {
+    const lvl = g[key] || 0;
+    const next = lvl < MAX_UPGRADE_LEVEL ? `next: **${p.prices[lvl]} token(s)**` : "**MAX**";
+    return `${p.emoji} **${p.label}** ${"▰".repeat(lvl)}${"▱".repeat(MAX_UPGRADE_LEVEL - lvl)} ${lvl}/${MAX_UPGRADE_LEVEL} — ${p.desc} • ${next}`;
+  });
+  const skinList = (catalog, owned, equipped) =>
+    Object.entries(catalog)
+      .map(([key, s]) => `${s.emoji} ${s.label} ${key === equipped ? "✅" : owned.includes(key) ? "(owned)" : `• ${s.price} token(s)`}`)
+      .join("\n");
+
+  return new EmbedBuilder()
+    .setColor(COLOR_ACCENT)
+    .setTitle(`🔧 ${BRAND} — GARAGE`)
+    .setDescription(
+      `${header("BOAT UPGRADES")}\n\n` +
+        `👤 ${tag(userId)}\n\n` +
+        `${parts.join("\n")}\n\n` +
+        `Upgrades count in solo + party races and are weaker on higher house-edge tiers.\n` +
+        `Use \`/garage upgrade\`, \`/garage boat\`, \`/garage trail\`.`
+    )
+    .addFields(
+      {
+        name: "Boat skins",
+        value:
+          skinList(BOAT_SKINS, g.boats, g.boat) +
+          (g.customBoat ? `\n${g.customBoat} Shop boat ${g.boat === "custom" ? "✅" : "(owned)"}` : ""),
+        inline: true,
+      },
+      { name: "Trail skins", value: skinList(TRAIL_SKINS, g.trails, g.trail), inline: true }
+    )
+    .setFooter({ text: FOOTER });
+}
+
+// buy (first time) or equip a skin; "stock" unequips
+function garageSkin(userId, kind, key) {
+  const catalog = kind === "boat" ? BOAT_SKINS : TRAIL_SKINS;
+  const ownedKey = kind === "boat" ? "boats" : "trails";
+  const g = getGarage(userId);
+
+  if (key === "stock") {
+    g[kind] = null;
+    saveGarage();
+    return `✅ Back to the stock ${kind}.`;
+  }
+  if (key === "custom") {
+    if (!g.customBoat) return "❌ You don't own a shop boat — see `/shop list`.";
+    g.boat = "custom";
+    saveGarage();
+    return `✅ ${g.customBoat} shop boat equipped.`;
+  }
+
+  const skin = catalog[key];
+  if (!skin) return "❌ Unknown skin.";
+
+  if (!g[ownedKey].includes(key)) {
+    if (getTok(userId).tokens < skin.price) return `❌ ${skin.emoji} ${skin.label} costs **${skin.price} token(s)**.`;
+    adjustTokens(userId, -skin.price, "garage_skin", { note: `${kind} • ${skin.label}` });
+    saveTokens();
+    g[ownedKey].push(key);
+  }
+  g[kind] = key;
+  saveGarage();
+  return `✅ ${skin.emoji} **${skin.label}** ${kind} equipped.`;
+}
+
+async function handleGarageCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+
+  if (sub === "view") {
+    const user = interaction.options.getUser("user") || interaction.user;
+    return interaction.reply({ embeds: [garageEmbed(user.id)], ephemeral: true });
+  }
+
+  if (sub === "upgrade") {
+    const key = interaction.options.getString("part", true);
+    const part = GARAGE_PARTS[key];
+    const g = getGarage(userId);
+    const lvl = g[key] || 0;
+    if (lvl >= MAX_UPGRADE_LEVEL) return interaction.reply({ content: `${part.emoji} ${part.label} is already maxed.`, ephemeral: true });
+
+    const price = part.prices[lvl];
+    if (getTok(userId).tokens < price) {
+      return interaction.reply({ content: `❌ ${part.label} level ${lvl + 1} costs **${price} token(s)**.`, ephemeral: true });
+    }
+
+    adjustTokens(userId, -price, "garage_upgrade", { note: `${part.label} ${lvl + 1}` });
+    saveTokens();
+    g[key] = lvl + 1;
+    saveGarage();
+    return interaction.reply({
+      content: `🔧 ${part.emoji} **${part.label}** upgraded to level **${g[key]}/${MAX_UPGRADE_LEVEL}** (−${price} token(s)).`,
+      ephemeral: true,
+    });
+  }
+
+  if (sub === "boat" || sub === "trail") {
+    return interaction.reply({ content: garageSkin(userId, sub, interaction.options.getString("skin", true)), ephemeral: true });
+  }
 }
 
 // ================== CINEMATIC LAUNCH ==================
@@ -507,9 +1755,243 @@ async function cinematicLaunch(interaction, title) {
   await new Promise((r) => setTimeout(r, 520));
   await interaction.editReply({ content: "🏁 **LAUNCH!**" });
 }
+// ================== RACE STATE (restart safety) ==================
+// A race is written to data/racestate.json as soon as entries are taken and removed
+// once settled. On startup anything left over is finished from its seed, or refunded.
+// settling = stats/payouts were being applied; never redo or refund those blindly.
+// Cooldowns live in the same file; solo locks are derived from the open races.
+const RACE_STATE_FILE = path.join(DATA_DIR, "racestate.json");
+const RACE_LOCK_TTL_SEC = 30 * 60; // longest race is a few minutes; older records are stuck
+const RACE_SWEEP_MS = 60 * 1000;
+
+const raceState = loadJsonSafe(RACE_STATE_FILE, { races: {}, cooldowns: {} });
+if (!raceState.races || typeof raceState.races !== "object") raceState.races = {};
+if (!raceState.cooldowns || typeof raceState.cooldowns !== "object") raceState.cooldowns = {};
+if (!raceState.cooldowns.solo) raceState.cooldowns.solo = {};
+if (!raceState.cooldowns.party) raceState.cooldowns.party = {};
+if (!raceState.duels || typeof raceState.duels !== "object") raceState.duels = {}; // open duel challenges
+if (!raceState.lobbyBets || typeof raceState.lobbyBets !== "object") raceState.lobbyBets = {}; // lobby code -> bets
+
+const lastSoloPlay = raceState.cooldowns.solo;
+const lastPartyPlay = raceState.cooldowns.party;
+
+function pruneCooldowns() {
+  for (const [map, cd] of [
+    [lastSoloPlay, settings.soloCooldownSec],
+    [lastPartyPlay, settings.partyCooldownSec],
+  ]) {
+    for (const uid of Object.keys(map)) if (!onCooldown(map, uid, cd)) delete map[uid];
+  }
+}
+
+function saveRaceState() {
+  pruneCooldowns();
+  saveJson(RACE_STATE_FILE, raceState);
+}
+
+function isStaleRace(race) {
+  return Math.floor(race.startedAt / 1000) + RACE_LOCK_TTL_SEC <= nowSec();
+}
+
+function openSoloRaces() {
+  return Object.values(raceState.races).filter((r) => r.mode === "solo" && !isStaleRace(r));
+}
+
+function activeSoloCount(guildId) {
+  return openSoloRaces().filter((r) => r.guildId === guildId).length;
+}
+
+function activeSoloRaceOf(userId) {
+  return openSoloRaces().find((r) => r.entrants[0]?.userId === userId) || null;
+}
+
+// race: { commit, mode, guildId, channelId, messageId, season, tier, seed, salt, trackLen,
+//         streaks, entrants: [{ userId, colourKey }], hostId, startedAt, settling }
+// duels add: racers (colour keys on the water), entryCost (the wager), rakePct
+function persistRace(race) {
+  raceState.races[race.commit] = race;
+  saveRaceState();
+}
+
+function clearRace(commit) {
+  if (!raceState.races[commit]) return;
+  delete raceState.races[commit];
+  saveRaceState();
+}
+
+const RACE_MODE_LABELS = { solo: "Solo", party: "Party", duel: "Duel", tourney: "Tournament" };
+
+function raceSim(race) {
+  const chance = race.mode === "party" ? PARTY_COMMENTARY_CHANCE : SOLO_COMMENTARY_CHANCE;
+  return simulateColourRace(
+    race.seed,
+    race.tier,
+    new Map(Object.entries(race.streaks)),
+    chance,
+    race.trackLen,
+    race.racers || undefined,
+    race.mods || {},
+    !!race.seededTies
+  );
+}
+
+function raceEntryCost(race) {
+  return race.entryCost ?? race.tier.tokenCost;
+}
+
+// apply the result once: stats, achievements, payouts, audit -> result embed
+async function settleRace(guild, race, sim) {
+  // refunded by the sweeper / recovery in the meantime: never pay on top of a refund
+  if (raceState.races[race.commit] !== race) throw new Error("race was already closed");
+  race.settling = true;
+  saveRaceState();
+  const finalize = { solo: finalizeSoloRace, party: finalizePartyRace, duel: finalizeDuelRace }[race.mode];
+  const embed = await finalize(guild, race, sim);
+  clearRace(race.commit);
+  return embed;
+}
+
+async function refundRace(guild, race, reason) {
+  clearRace(race.commit);
+
+  // solo/party entries bumped st.races; only undo that if the season hasn't rolled since
+  const undoRaceCount = race.mode !== "duel" && race.season === statsDB.meta.seasonNumber;
+  const modeLabel = RACE_MODE_LABELS[race.mode];
+  const cost = raceEntryCost(race);
+  for (const { userId } of race.entrants) {
+    adjustTokens(userId, cost, "race_refund", { note: `${modeLabel} • ${race.tier.label}` });
+    if (undoRaceCount) getStats(userId).races = Math.max(0, getStats(userId).races - 1);
+  }
+  refundSpectatorBets(race.bets || [], `${modeLabel} refund`);
+  saveTokens();
+  saveStats();
+
+  if (!guild) return;
+  const who = race.entrants.map((e) => tag(e.userId)).join(", ");
+
+  const ch = await guild.channels.fetch(race.channelId).catch(() => null);
+  if (ch && "send" in ch) {
+    await ch
+      .send({
+        embeds: [
+          new EmbedBuilder()
+            .setColor(COLOR_DARK)
+            .setTitle(`↩️ ${BRAND} — RACE REFUNDED`)
+            .setDescription(
+              `${header("RACE ABANDONED")}\n\n${reason}\n\n` +
+                `🎟️ **Refunded:** ${cost} token(s) each to ${who}` +
+                (race.bets?.length ? `\n🎰 Spectator bets returned (${race.bets.length}).` : "")
+            )
+            .setFooter({ text: FOOTER }),
+        ],
+      })
+      .catch(() => {});
+  }
+
+  await auditLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle(`↩️ Audit • ${modeLabel.toUpperCase()} REFUND • Season #${race.season}`)
+      .addFields(
+        { name: "Players", value: race.entrants.map((e) => `${tag(e.userId)} (${e.userId})`).join("\n"), inline: false },
+        { name: "Tier", value: `${race.tier.emoji} ${race.tier.label} (cost ${cost})`, inline: true },
+        { name: "Seed", value: `${race.seed}`, inline: true },
+        { name: "Reason", value: reason.slice(0, 1000), inline: false }
+      )
+      .setFooter({ text: FOOTER })
+  );
+}
+
+// crashed mid-settlement: part of the result may already be applied, so staff decide
+async function auditSettleFailure(guild, race, why) {
+  clearRace(race.commit);
+  console.log(`Race ${race.commit} failed while settling: ${why}`);
+  if (!guild) return;
+  await auditLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(COLOR_DARK)
+      .setTitle(`⚠️ Audit • ${race.mode.toUpperCase()} race failed while settling`)
+      .setDescription(
+        `Stats/payouts may be partly applied — check \`/tokens audit\` and \`/raceadmin payouts list\` before compensating.`
+      )
+      .addFields(
+        { name: "Players", value: race.entrants.map((e) => `${tag(e.userId)} (${e.userId})`).join("\n"), inline: false },
+        { name: "Seed", value: `${race.seed}`, inline: true },
+        { name: "Salt", value: `${race.salt}`, inline: true },
+        { name: "Error", value: String(why).slice(0, 1000), inline: false }
+      )
+      .setFooter({ text: FOOTER })
+  );
+}
+
+// live race blew up: refund unless the result was already being applied
+async function failRace(guild, race, err) {
+  const why = err?.message || String(err);
+  if (!raceState.races[race.commit]) return;
+  if (race.settling) return auditSettleFailure(guild, race, why);
+  await refundRace(guild, race, `Something went wrong mid-race, so entries were refunded.\n\`${why.slice(0, 200)}\``);
+}
+
+// Expiry cleanup while running: stuck races (interval died without settling) are refunded
+async function sweepRaceState() {
+  for (const race of Object.values(raceState.races)) {
+    if (!isStaleRace(race)) continue;
+    const guild = await client.guilds.fetch(race.guildId).catch(() => null);
+    await failRace(guild, race, new Error("race never finished (timed out)")).catch(() => {});
+  }
+  saveRaceState();
+}
+
+let raceSweepHandle = null;
+function startRaceSweeper() {
+  if (!raceSweepHandle) raceSweepHandle = setInterval(() => sweepRaceState().catch(() => {}), RACE_SWEEP_MS);
+}
+
+// Startup: finish interrupted races from their seed (no replay animation), else refund.
+// Lobbies don't survive a restart, so any stakes still escrowed for one go back.
+async function recoverRaces() {
+  for (const [code, bets] of Object.entries(raceState.lobbyBets)) {
+    refundSpectatorBets(bets, `Lobby ${code} lost to a restart`);
+    delete raceState.lobbyBets[code];
+  }
+  saveRaceState();
+
+  for (const race of Object.values(raceState.races)) {
+    const guild = await client.guilds.fetch(race.guildId).catch(() => null);
+    try {
+      if (race.settling) {
+        await auditSettleFailure(guild, race, "Bot restarted while the result was being applied.");
+        continue;
+      }
+      if (!guild) throw new Error(`guild ${race.guildId} unavailable`);
+      if (!race.entrants?.length || !race.entrants.every((e) => COLOUR_BY_KEY.has(e.colourKey))) {
+        throw new Error("race record is incomplete");
+      }
+      if (race.season !== statsDB.meta.seasonNumber) {
+        await refundRace(guild, race, "The bot restarted mid-race and the season has rolled over since.");
+        continue;
+      }
+
+      const embed = await settleRace(guild, race, raceSim(race));
+      const notice = "♻️ The bot restarted mid-race — the race was finished from its committed seed.";
+
+      const ch = await guild.channels.fetch(race.channelId).catch(() => null);
+      if (ch && "messages" in ch) {
+        const msg = race.messageId ? await ch.messages.fetch(race.messageId).catch(() => null) : null;
+        if (msg && race.mode === "party") await msg.edit({ content: notice, embeds: [embed], components: [] }).catch(() => {});
+        else await ch.send({ content: notice, embeds: [embed] }).catch(() => {});
+      }
+      console.log(`♻️ Recovered ${race.mode} race ${race.commit.slice(0, 12)}`);
+    } catch (e) {
+      if (race.settling) await auditSettleFailure(guild, race, e?.message || e).catch(() => {});
+      else await refundRace(guild, race, "The bot restarted mid-race and it couldn't be resumed.").catch(() => {});
+    }
+  }
+}
+
 // ================== SOLO RACE ==================
-const activeSoloRace = new Set();
-const activeSoloRaceByGuild = new Map(); // guildId -> count
 async function runSoloRace(interaction, colourKey, tierKey) {
   if (settings.freezeRaces) {
     return interaction.reply({ content: "🛠️ Maintenance mode — check back soon.", ephemeral: true });
@@ -519,8 +2001,7 @@ async function runSoloRace(interaction, colourKey, tierKey) {
 
   // Anti-spam cap per guild
   const guildId = interaction.guildId;
-  const activeInGuild = activeSoloRaceByGuild.get(guildId) || 0;
-  if (activeInGuild >= MAX_ACTIVE_SOLO_RACES_PER_GUILD) {
+  if (activeSoloCount(guildId) >= MAX_ACTIVE_SOLO_RACES_PER_GUILD) {
     return interaction.reply({
       content: "🚦 Too many solo races running right now — try again in a minute.",
       ephemeral: true,
@@ -528,22 +2009,28 @@ async function runSoloRace(interaction, colourKey, tierKey) {
   }
 
   const userId = interaction.user.id;
-  const cdLeft = onCooldown(lastSoloPlay, userId, SOLO_COOLDOWN_SEC);
+  const cdLeft = onCooldown(lastSoloPlay, userId, settings.soloCooldownSec);
   if (cdLeft)
     return interaction.reply({
       content: `⏳ Cooldown active. Try again <t:${nowSec() + cdLeft}:R>.`,
       ephemeral: true,
     });
 
-  if (activeSoloRace.has(userId)) {
+  if (activeSoloRaceOf(userId)) {
     return interaction.reply({
       content: "⏳ You already have a race running. Wait for it to finish.",
       ephemeral: true,
     });
   }
 
-  const tier = TIERS[tierKey] || TIERS.standard;
+  // snapshot: tier edits mid-race must not change this race
+  const stored = playableTier(tierKey);
+  if (!stored) {
+    return interaction.reply({ content: "❌ That tier isn't available right now.", ephemeral: true });
+  }
+  const tier = { ...stored };
   const tokenCost = tier.tokenCost;
+  const trackLen = settings.trackLen;
 
   const u = getTok(userId);
   if (u.tokens < tokenCost) {
@@ -553,22 +2040,57 @@ async function runSoloRace(interaction, colourKey, tierKey) {
     });
   }
 
-  u.tokens -= tokenCost;
+  adjustTokens(userId, -tokenCost, "race_entry", { note: `Solo • ${tier.label}` });
   saveTokens();
 
   const st = getStats(userId);
   st.races += 1;
   saveStats();
 
-  activeSoloRace.add(userId);
-  activeSoloRaceByGuild.set(guildId, activeInGuild + 1);
   setCooldown(lastSoloPlay, userId);
 
   const bet = COLOUR_BY_KEY.get(colourKey) || COLOUR_BY_KEY.get("red");
 
-  // Seeded RNG per race
+  // Seeded RNG per race (committed before launch, revealed in results)
   const seed = newSeed();
-  const rng = makeRng(seed);
+  const salt = newSalt();
+  const commit = seedCommitment(seed, salt);
+
+  // streaks + garage upgrades are locked at launch so the replay sees the same race
+  const streakByColour = new Map([[bet.key, st.winStreak || 0]]);
+  const { mods, skins } = raceGarage([{ userId, colourKey: bet.key }]);
+  recordFairness(commit, {
+    mode: "solo",
+    tierKey: tier.key,
+    houseEdge: tier.houseEdge,
+    streakMult: tier.streakMult,
+    trackLen,
+    streaks: Object.fromEntries(streakByColour),
+    mods,
+  });
+
+  const race = {
+    commit,
+    mode: "solo",
+    guildId,
+    channelId: interaction.channelId,
+    messageId: null,
+    season: statsDB.meta.seasonNumber,
+    tier,
+    seed,
+    salt,
+    trackLen,
+    streaks: Object.fromEntries(streakByColour),
+    entrants: [{ userId, colourKey: bet.key }],
+    mods,
+    skins,
+    hostId: userId,
+    startedAt: Date.now(),
+    settling: false,
+  };
+  persistRace(race); // also holds the solo lock until settled/refunded
+  const sim = raceSim(race);
+  const inputsText = fairnessInputsText(commit);
 
   // Audit: log seed
   await auditLog(
@@ -579,103 +2101,65 @@ async function runSoloRace(interaction, colourKey, tierKey) {
       .addFields(
         { name: "Player", value: `${tag(userId)} (${userId})`, inline: false },
         { name: "Tier", value: `${tier.emoji} ${tier.label}`, inline: true },
-        { name: "Seed", value: `${seed}`, inline: true }
+        { name: "Seed", value: `${seed}`, inline: true },
+        { name: "Salt", value: `${salt}`, inline: true },
+        { name: "Commit", value: `\`${commit}\``, inline: false }
       )
       .setFooter({ text: FOOTER })
   );
 
-  const racers = COLOURS.map((c) => ({
-    ...c,
-    pos: 0,
-    finished: false,
-    finishTick: null,
-    lastEvent: null,
-  }));
-
-  let finishedCount = 0;
   let tick = 0;
   let raceFinalized = false;
+  let msg;
 
-  await cinematicLaunch(interaction, `Solo race loading… (${tier.emoji} ${tier.label})`);
+  try {
+    await cinematicLaunch(interaction, `Solo race loading… (${tier.emoji} ${tier.label})`);
 
-  const msg = await interaction.followUp({
-    embeds: [
-      new EmbedBuilder()
-        .setColor(COLOR_PRIMARY)
-        .setTitle(`🏇 ${BRAND} — SOLO RHIB RACE`)
-        .setDescription(
-          `${header("BET LOCKED")}\n\n` +
-            `👤 **Racer:** ${tag(userId)}\n` +
-            `🎯 **RHIB:** ${bet.label}\n` +
-            `${tier.emoji} **Tier:** ${tier.label}\n` +
-            `🎟️ **Entry:** \`${tokenCost}\` • **Tokens left:** \`${getTok(userId).tokens}\`\n\n` +
-            `💰 **Winnings:**\n${payoutTableText(tier)}`
-        )
-        .setFooter({ text: FOOTER }),
-    ],
-    fetchReply: true,
-  });
+    msg = await interaction.followUp({
+      embeds: [
+        new EmbedBuilder()
+          .setColor(COLOR_PRIMARY)
+          .setTitle(`🏇 ${BRAND} — SOLO RHIB RACE`)
+          .setDescription(
+            `${header("BET LOCKED")}\n\n` +
+              `👤 **Racer:** ${tag(userId)}\n` +
+              `🎯 **RHIB:** ${bet.label}\n` +
+              (garageTag(userId) ? `🔧 **Garage:** ${garageTag(userId)}\n` : "") +
+              `${tier.emoji} **Tier:** ${tier.label}\n` +
+              `🎟️ **Entry:** \`${tokenCost}\` • **Tokens left:** \`${getTok(userId).tokens}\`\n\n` +
+              `💰 **Winnings:**\n${payoutTableText(tier)}\n\n` +
+              `🔒 **Fairness commit:** \`${commit}\`\n${inputsText}`
+          )
+          .setFooter({ text: FOOTER }),
+      ],
+      fetchReply: true,
+    });
+    race.messageId = msg.id;
+    saveRaceState();
+  } catch (e) {
+    await failRace(interaction.guild, race, e);
+    return;
+  }
 
   let lastFrameKey = ""; // edit throttle: only edit if content changed
 
   const interval = setInterval(async () => {
     try {
-      if (raceFinalized) return;
+      if (raceFinalized || tick >= sim.frames.length) return;
       tick++;
 
-      const order = racers.slice().sort((a, b) => b.pos - a.pos);
-      const rankMap = new Map(order.map((r, i) => [r.key, i]));
-
       const rhibEmoji = getRhibEmoji(interaction.guild);
-      const commentary = rng() < 0.18 ? rand(COMMENTARY, rng) : null;
-
-      for (const r of racers) {
-        if (r.finished) continue;
-
-        let step = rollBaseStep(rng);
-
-        const ev = maybeEvent(rng);
-        r.lastEvent = ev ? ev.text : null;
-
-        if (ev?.kind === "BOOST") step += 1;
-        if (ev?.kind === "STALL") step = Math.max(0, step - 1);
-
-        const rk = rankMap.get(r.key) ?? 2;
-        step += houseEdgeModifier(rk, racers.length, tier.key, rng);
-        step += finalSprintBoost(r.pos, rng);
-
-        if (r.key === bet.key) {
-          step += streakPenalty(st.winStreak, tier.key, rng);
-        }
-
-        step = Math.max(0, Math.min(3, step));
-        r.pos += step;
-
-        if (r.pos >= TRACK_LEN) {
-          r.pos = TRACK_LEN - 1;
-          r.finished = true;
-          r.finishTick = tick;
-          finishedCount++;
-        }
-      }
-
-      let places = [];
-      if (finishedCount === racers.length) {
-        places = racers
-          .slice()
-          .sort((a, b) => a.finishTick - b.finishTick || b.pos - a.pos)
-          .map((r, i) => ({ ...r, place: i + 1 }));
-      }
+      const { racers, places, commentary } = displayFrame(sim, tick - 1);
 
       const lines = (places.length ? places : racers).map((r) => {
-        const badge = places.length ? placeBadge(r.place) : `(${pct(r.pos)}%)`;
-        return renderLine(r, r.pos, badge, rhibEmoji);
+        const badge = places.length ? placeBadge(r.place) : `(${pct(r.pos, trackLen)}%)`;
+        return renderRacerLine(race, r, badge, rhibEmoji);
       });
 
       const comms = racers
-        .filter((r) => r.lastEvent)
+        .filter((r) => r.event)
         .slice(0, 2)
-        .map((r) => `${r.label} ${r.lastEvent}`)
+        .map((r) => `${r.label} ${r.event}`)
         .join("\n");
 
       // Edit-throttle key
@@ -694,7 +2178,8 @@ async function runSoloRace(interaction, colourKey, tierKey) {
                     `${tier.emoji} **Tier:** ${tier.label}\n\n` +
                     `🏁 **Track:**\n${lines.join("\n")}\n\n` +
                     `📡 **Comms:**\n${comms || "`Seas are calm…`"}\n` +
-                    (commentary ? `\n${commentary}` : "")
+                    (commentary ? `\n${commentary}\n` : "") +
+                    `\n🔒 **Fairness commit:** \`${commit}\`\n${inputsText}`
                 )
                 .setFooter({ text: FOOTER }),
             ],
@@ -706,137 +2191,203 @@ async function runSoloRace(interaction, colourKey, tierKey) {
         raceFinalized = true;
         clearInterval(interval);
 
-        const your = places.find((r) => r.key === bet.key);
-        const truePlace = your.place;
-        const winnings = tier.payouts[truePlace] || 0;
+        const resultEmbed = await settleRace(interaction.guild, race, sim);
+        await msg.reply({ embeds: [resultEmbed] }).catch(() => {});
+      }
+    } catch (e) {
+      raceFinalized = true;
+      clearInterval(interval);
+      console.log("Solo race error:", e?.message || e);
+      await failRace(interaction.guild, race, e).catch(() => {});
+    }
+  }, settings.tickMs);
+}
 
-        const photoFinish = places[0].finishTick === places[1].finishTick;
+// Solo result: stats, streak, achievements, payout + audit. Returns the result embed.
+async function finalizeSoloRace(guild, race, sim) {
+  const { tier, seed, salt, commit } = race;
+  const { userId, colourKey } = race.entrants[0];
+  const bet = COLOUR_BY_KEY.get(colourKey);
+  const st = getStats(userId);
 
-        if (truePlace === 1) {
-          st.winStreak = (st.winStreak || 0) + 1;
-          st.bestWinStreak = Math.max(st.bestWinStreak || 0, st.winStreak);
-        } else {
-          st.winStreak = 0;
-        }
+  const { places } = displayFrame(sim, sim.frames.length - 1);
+  const your = places.find((r) => r.key === bet.key);
+  const truePlace = your.place;
+  const winnings = tier.payouts[truePlace] || 0;
 
-        st.bestFinish = Math.min(st.bestFinish, truePlace);
-        if (truePlace === 1) st.wins += 1;
-        if (truePlace <= 3) st.podiums += 1;
-        st.totalWon += winnings;
-        saveStats();
+  const photoFinish = sim.photoFinish;
+  recordFairnessPlaces(commit, places);
 
-        const awarded = [];
-        if (st.races === 1) {
-          const a = awardAchievement(userId, ACH.FIRST_RACE.key);
-          if (a) awarded.push(a);
-        }
-        if (truePlace === 1) {
-          const a = awardAchievement(userId, ACH.FIRST_WIN.key);
-          if (a) awarded.push(a);
-        }
-        if (photoFinish) {
-          const a = awardAchievement(userId, ACH.PHOTO_FINISH.key);
-          if (a) awarded.push(a);
-        }
-        if ((st.winStreak || 0) >= 3) {
-          const a = awardAchievement(userId, ACH.STREAK_3.key);
-          if (a) awarded.push(a);
-        }
-        if ((st.podiums || 0) >= 5) {
-          const a = awardAchievement(userId, ACH.PODIUM_5.key);
-          if (a) awarded.push(a);
-        }
+  if (truePlace === 1) {
+    st.winStreak = (st.winStreak || 0) + 1;
+    st.bestWinStreak = Math.max(st.bestWinStreak || 0, st.winStreak);
+  } else {
+    st.winStreak = 0;
+  }
 
-        if (winnings > 0 && !settings.freezePayouts) {
-          await enqueuePayout(interaction.guild, userId, winnings);
-        }
+  st.bestFinish = Math.min(st.bestFinish, truePlace);
+  if (truePlace === 1) st.wins += 1;
+  if (truePlace <= 3) st.podiums += 1;
+  if (photoFinish) st.photoFinishes = (st.photoFinishes || 0) + 1;
+  st.totalWon += winnings;
+  saveStats();
 
-        // placements emoji-only
-        const results = places.map((p) => `${placeBadge(p.place)} ${p.label}`).join("\n");
+  const awarded = evaluateAchievements(guild, userId, { mode: "solo", place: truePlace, photoFinish });
+  const questsDone = trackQuests(userId, { mode: "solo", tierKey: tier.key, colourKey, place: truePlace });
+
+  recordRaceHistory(userId, {
+    mode: "solo",
+    tier,
+    colourKey,
+    place: truePlace,
+    field: places.length,
+    cost: raceEntryCost(race),
+    payout: winnings,
+    payoutUnit: "kaos",
+    seed,
+    salt,
+    photoFinish,
+  });
+  saveRaceHistory();
 
-        const resultLine =
-          winnings > 0
-            ? `🎉 ${tag(userId)} your ${bet.label} finished **${placeBadge(truePlace)}**!\n✅ Kaos payout queued: **${winnings.toLocaleString()} ${CURRENCY_NAME}**`
-            : `😢 ${tag(userId)} your ${bet.label} finished **${placeBadge(truePlace)}**.\nNo payout this time.`;
+  if (winnings > 0) PAYOUTS.enqueue(guild.id, userId, winnings, "solo");
 
-        // clean achievements heading + grammar
-        const achBlock = awarded.length
-          ? `\n\n🏅 **Achievements unlocked:**\n${awarded
-              .map((a) => `• **${a.name}** (+${a.tokens} ${a.tokens === 1 ? "token" : "tokens"})`)
-              .join("\n")}`
-          : "";
+  // placements emoji-only
+  const results = places.map((p) => `${placeBadge(p.place)} ${p.label}`).join("\n");
 
-        await msg
-          .reply({
-            embeds: [
-              new EmbedBuilder()
-                .setColor(winnings > 0 ? COLOR_PRIMARY : COLOR_DARK)
-                .setTitle(`🏆 ${BRAND} — SOLO RESULT`)
-                .setDescription(
-                  `${header("RACE COMPLETE")}\n\n` +
-                    `${resultLine}\n` +
-                    (photoFinish ? `\n📸 **PHOTO FINISH!** VAR called.\n` : "\n") +
-                    `**Placements:**\n${results}` +
-                    achBlock
-                )
-                .setFooter({ text: FOOTER }),
-            ],
-          })
-          .catch(() => {});
+  const resultLine =
+    winnings > 0
+      ? `🎉 ${tag(userId)} your ${bet.label} finished **${placeBadge(truePlace)}**!\n✅ Kaos payout queued: **${winnings.toLocaleString()} ${CURRENCY_NAME}**`
+      : `😢 ${tag(userId)} your ${bet.label} finished **${placeBadge(truePlace)}**.\nNo payout this time.`;
 
-        await auditLog(
-          interaction.guild,
-          new EmbedBuilder()
-            .setColor(COLOR_NEUTRAL)
-            .setTitle(`🧾 Audit • SOLO • Season #${statsDB.meta.seasonNumber}`)
-            .addFields(
-              { name: "Player", value: `${tag(userId)} (${userId})`, inline: false },
-              { name: "Tier", value: `${tier.emoji} ${tier.label} (cost ${tier.tokenCost})`, inline: true },
-              { name: "RHIB", value: `${bet.label}`, inline: true },
-              { name: "Finish", value: `${placeBadge(truePlace)} (${truePlace})`, inline: true },
-              {
-                name: "Payout",
-                value: settings.freezePayouts ? "FROZEN" : `${winnings.toLocaleString()} ${CURRENCY_NAME}`,
-                inline: true,
-              },
-              { name: "Win Streak", value: `${st.winStreak || 0}`, inline: true },
-              { name: "Seed", value: `${seed}`, inline: true }
-            )
-            .setFooter({ text: FOOTER })
-        );
-      }
-    } catch (e) {
-      raceFinalized = true;
-      clearInterval(interval);
-      console.log("Solo race error:", e?.message || e);
-    } finally {
-      if (raceFinalized) {
-        activeSoloRace.delete(userId);
-        const cur = activeSoloRaceByGuild.get(guildId) || 0;
-        activeSoloRaceByGuild.set(guildId, Math.max(0, cur - 1));
-      }
-    }
-  }, TICK_MS);
+  // clean achievements heading + grammar
+  const achBlock =
+    (awarded.length
+      ? `\n\n🏅 **Achievements unlocked:**\n${awarded.map((a) => `• ${achievementRewardText(a)}`).join("\n")}`
+      : "") + (questsDone.length ? `\n\n📜 **Quests complete:**\n${questsDone.map((q) => `• ${questRewardText(q)}`).join("\n")}` : "");
+
+  await auditLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle(`🧾 Audit • SOLO • Season #${statsDB.meta.seasonNumber}`)
+      .addFields(
+        { name: "Player", value: `${tag(userId)} (${userId})`, inline: false },
+        { name: "Tier", value: `${tier.emoji} ${tier.label} (cost ${tier.tokenCost})`, inline: true },
+        { name: "RHIB", value: `${bet.label}`, inline: true },
+        { name: "Finish", value: `${placeBadge(truePlace)} (${truePlace})`, inline: true },
+        {
+          name: "Payout",
+          value: `${winnings.toLocaleString()} ${CURRENCY_NAME}${settings.freezePayouts ? " (FROZEN — held in ledger)" : ""}`,
+          inline: true,
+        },
+        { name: "Win Streak", value: `${st.winStreak || 0}`, inline: true },
+        { name: "Seed", value: `${seed}`, inline: true }
+      )
+      .setFooter({ text: FOOTER })
+  );
+
+  return new EmbedBuilder()
+    .setColor(winnings > 0 ? COLOR_PRIMARY : COLOR_DARK)
+    .setTitle(`🏆 ${BRAND} — SOLO RESULT`)
+    .setDescription(
+      `${header("RACE COMPLETE")}\n\n` +
+        `${resultLine}\n` +
+        (photoFinish ? `\n📸 **PHOTO FINISH!** VAR called.\n` : "\n") +
+        `**Placements:**\n${results}` +
+        achBlock +
+        `\n\n${fairnessRevealText(seed, salt)}`
+    )
+    .setFooter({ text: FOOTER });
 }
 
 // ================== PARTY ==================
-const partyByGuild = new Map();
+// Several lobbies per guild: one per channel, addressed by a short lobby code.
+const partiesByCode = new Map(); // code -> party
+const PARTY_JOIN_WINDOW_SEC = 60; // /raceparty create; scheduled events use settings.eventJoinWindowSec
+
+function newLobbyCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  for (;;) {
+    let code = "";
+    for (const b of crypto.randomBytes(4)) code += alphabet[b % alphabet.length];
+    if (!partiesByCode.has(code)) return code;
+  }
+}
+
+function guildParties(guildId) {
+  return Array.from(partiesByCode.values()).filter((p) => p.guildId === guildId);
+}
+
+function partyInChannel(guildId, channelId) {
+  return guildParties(guildId).find((p) => p.channelId === channelId) || null;
+}
+
+function partyOfUser(guildId, userId) {
+  return guildParties(guildId).find((p) => p.players.has(userId)) || null;
+}
+
+// lobby code if given, else the lobby you're in, else the one in this channel
+function resolveParty(interaction, code) {
+  const guildId = interaction.guildId;
+  if (code) {
+    const p = partiesByCode.get(code.trim().toUpperCase());
+    return p && p.guildId === guildId ? p : null;
+  }
+  return partyOfUser(guildId, interaction.user.id) || partyInChannel(guildId, interaction.channelId);
+}
+
+function removeParty(party) {
+  if (partiesByCode.get(party.code) === party) partiesByCode.delete(party.code);
+}
 
-function makeParty(hostId, channelId, tierKey) {
+// ranked lobbies only take players within settings.rankedBand of the host's rating at creation
+// hostId null = hostless lobby opened by a scheduled /raceevent
+function makeParty(guildId, hostId, channelId, tier, ranked = false, joinWindowSec = PARTY_JOIN_WINDOW_SEC) {
+  const seed = newSeed();
+  const salt = newSalt();
+  const center = ranked ? ratingOf(getStats(hostId)) : 0;
   return {
+    code: newLobbyCode(),
+    guildId,
     hostId,
+    ranked,
+    ratingBand: ranked ? { min: center - settings.rankedBand, max: center + settings.rankedBand } : null,
     createdAt: nowSec(),
+    joinWindowSec,
     state: "LOBBY",
     finalized: false,
     players: new Map(), // uid -> { colourKey }
     messageId: null,
     channelId,
-    tierKey: tierKey || "standard",
+    tier: { ...tier }, // snapshot: tier edits don't touch open lobbies
     autoStartTimeout: null,
-    seed: newSeed(),
+    bets: [], // spectator bets: { userId, colourKey, amount }
+    seed,
+    salt,
+    commit: seedCommitment(seed, salt),
   };
 }
 
+function partyStartsAt(party) {
+  return party.createdAt + party.joinWindowSec;
+}
+
+function partyHostText(hostId) {
+  return hostId ? tag(hostId) : "📅 Scheduled event";
+}
+
+// auto start once the join window closes
+function armPartyAutoStart(guild, party) {
+  if (party.autoStartTimeout) clearTimeout(party.autoStartTimeout);
+  party.autoStartTimeout = setTimeout(async () => {
+    try {
+      if (partiesByCode.get(party.code) !== party) return;
+      await runPartyRace(guild, party);
+    } catch {}
+  }, Math.max(0, partyStartsAt(party) - nowSec()) * 1000);
+}
+
 function colourTaken(party, colourKey) {
   for (const p of party.players.values()) if (p.colourKey === colourKey) return true;
   return false;
@@ -852,47 +2403,375 @@ async function getPartyMessage(guild, party) {
   return { channel, message };
 }
 
-async function editOrPostPartyEmbed(interaction, party) {
-  const tier = TIERS[party.tierKey] || TIERS.standard;
+function partyLobbyEmbed(party) {
+  const tier = party.tier;
 
   // lineup emoji-only + host crown + slots left
   const lineup = Array.from(party.players.entries()).map(([uid, p]) => {
     const c = COLOUR_BY_KEY.get(p.colourKey);
     const crown = uid === party.hostId ? " 👑" : "";
-    return `${c.label} ${tag(uid)}${crown}`;
+    const garage = garageTag(uid);
+    return `${c.label} ${tag(uid)}${crown}${garage ? ` • ${garage}` : ""}`;
   });
 
-  const timeLeft = Math.max(0, party.createdAt + 60 - nowSec());
-  const autoLine = party.state === "LOBBY" ? `⏱️ **Auto-start:** <t:${nowSec() + timeLeft}:R>` : "";
+  const autoLine = party.state === "LOBBY" ? `⏱️ **Auto-start:** <t:${Math.max(nowSec(), partyStartsAt(party))}:R>` : "";
   const slotsLeft = Math.max(0, 5 - party.players.size);
 
   const desc =
     `${header("PARTY LOBBY — UNIQUE COLOURS")}\n\n` +
-    `👑 **Host:** ${tag(party.hostId)}\n` +
+    `🔑 **Lobby:** \`${party.code}\`\n` +
+    `👑 **Host:** ${partyHostText(party.hostId)}\n` +
     `${tier.emoji} **Tier:** ${tier.label} • Entry: **${tier.tokenCost} token(s)**\n` +
+    (party.ranked ? `🏅 **Ranked:** rating **${party.ratingBand.min}–${party.ratingBand.max}** only\n` : "") +
     `👥 **Players:** \`${party.players.size}\` / 5 • **Slots left:** \`${slotsLeft}\`\n` +
     `${autoLine}\n\n` +
     `**Line-up:**\n${lineup.length ? lineup.join("\n") : "`No racers yet.`"}\n\n` +
-    `✅ **Join:** \`/raceparty join colour:<colour>\`\n` +
-    `🚪 **Leave:** \`/raceparty leave\`\n` +
-    `🏁 **Start now:** \`/raceparty start\` (host)\n` +
-    `🧹 **Cancel:** \`/raceparty cancel\` (host)`;
+    `🎰 **Spectator bets:**\n${spectatorPoolText(party.bets)}\n\n` +
+    `🔒 **Fairness commit:** \`${party.commit}\`\n\n` +
+    `Use the buttons below, or \`/raceparty join colour:<colour> lobby:${party.code}\`.`;
 
-  const e = new EmbedBuilder()
+  return new EmbedBuilder()
     .setColor(COLOR_ACCENT)
-    .setTitle(`🏟️ ${BRAND} — PARTY RHIB RACE`)
+    .setTitle(`🏟️ ${BRAND} — PARTY RHIB RACE • ${party.code}`)
     .setDescription(desc)
     .setFooter({ text: FOOTER });
+}
+
+function partyLobbyRow(party) {
+  const full = party.players.size >= 5;
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`rp:join:${party.code}`).setLabel("Join").setEmoji("✅").setStyle(ButtonStyle.Success).setDisabled(full),
+    new ButtonBuilder().setCustomId(`rp:leave:${party.code}`).setLabel("Leave").setEmoji("🚪").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`rp:start:${party.code}`).setLabel("Start").setEmoji("🏁").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`rp:cancel:${party.code}`).setLabel("Cancel").setEmoji("🧹").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId(`rp:bet:${party.code}`).setLabel("Bet").setEmoji("🎰").setStyle(ButtonStyle.Secondary)
+  );
+}
+
+// colour picker for the Join button: only colours still free in this lobby
+function partyColourRow(party) {
+  const free = COLOURS.filter((c) => !colourTaken(party, c.key));
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(`rp:pick:${party.code}`)
+      .setPlaceholder("Pick your boat colour…")
+      .addOptions(free.map((c) => ({ label: c.name, value: c.key, emoji: c.label })))
+  );
+}
 
+async function editOrPostPartyEmbed(interaction, party) {
   if (!party.messageId) {
-    const msg = await interaction.reply({ embeds: [e], fetchReply: true });
+    const msg = await interaction.reply({ embeds: [partyLobbyEmbed(party)], components: [partyLobbyRow(party)], fetchReply: true });
     party.messageId = msg.id;
     party.channelId = interaction.channelId;
     return;
   }
+  await refreshPartyEmbed(interaction.guild, party);
+}
+
+async function refreshPartyEmbed(guild, party) {
+  if (party.state !== "LOBBY") return;
+  const { message } = await getPartyMessage(guild, party);
+  if (message) await message.edit({ embeds: [partyLobbyEmbed(party)], components: [partyLobbyRow(party)] }).catch(() => {});
+}
+
+// ---------- lobby actions (shared by /raceparty and the lobby buttons) ----------
+// Each returns the ephemeral text for the caller; embed refreshes happen here.
+
+// pre-check before showing the colour picker / accepting a colour
+function partyJoinBlocker(party, userId) {
+  if (party.state !== "LOBBY") return "Party is already running.";
+
+  const other = partyOfUser(party.guildId, userId);
+  if (other && other !== party) return `You’re already in lobby \`${other.code}\`. Leave it first.`;
+
+  // block join if user on cooldown
+  const left = onCooldown(lastPartyPlay, userId, settings.partyCooldownSec);
+  if (left) return `⏳ You’re on party cooldown. Try again <t:${nowSec() + left}:R>.`;
+
+  // block join if user lacks tokens for this tier
+  const tier = party.tier;
+  if (getTok(userId).tokens < tier.tokenCost) {
+    return `❌ You need **${tier.tokenCost} token(s)** to join this **${tier.label}** party.`;
+  }
+
+  if (party.players.size >= 5 && !party.players.has(userId)) return "Party is full (max 5).";
+  if (spectatorBetOf(party, userId)) return "You have a spectator bet on this race, so you can't race in it.";
+
+  if (party.ranked) {
+    const r = ratingOf(getStats(userId));
+    const { min, max } = party.ratingBand;
+    if (r < min || r > max) return `🏅 Ranked lobby is for ratings **${min}–${max}** — yours is **${r}**.`;
+  }
+  return null;
+}
+
+async function partyJoin(guild, party, userId, colourKey) {
+  const blocked = partyJoinBlocker(party, userId);
+  if (blocked) return blocked;
+
+  if (colourTaken(party, colourKey)) {
+    const c = COLOUR_BY_KEY.get(colourKey);
+    return `❌ Colour taken: ${c.label}`;
+  }
+
+  party.players.set(userId, { colourKey });
+  await refreshPartyEmbed(guild, party);
+  return `✅ Joined \`${party.code}\` as ${COLOUR_BY_KEY.get(colourKey).label}`;
+}
+
+async function partyLeave(guild, party, userId) {
+  if (!party.players.has(userId)) return "You’re not in the party.";
+  if (party.state !== "LOBBY") return "Party is already running.";
+  party.players.delete(userId);
+
+  if (userId === party.hostId) {
+    await cancelParty(guild, party, "Host left — party lobby closed.");
+    return "Host left — party lobby closed.";
+  }
+
+  await refreshPartyEmbed(guild, party);
+  return "✅ Left the party.";
+}
+
+// isAdmin: admins can close hostless event lobbies (nobody else can)
+async function partyCancel(guild, party, userId, isAdmin = false) {
+  if (!party.hostId && !isAdmin) return "📅 Only an admin can cancel a scheduled event lobby.";
+  if (party.hostId && userId !== party.hostId) return "Only host can cancel.";
+  if (party.state !== "LOBBY") return "Party is already running.";
+  if (!party.hostId) {
+    await cancelParty(guild, party, "Cancelled by an admin. Side bets were refunded.");
+    await raceEventNotice(guild, `Event lobby ${party.code} cancelled`, `By ${tag(userId)}${party.eventId ? ` • event \`${party.eventId}\`` : ""}`);
+    return "🧹 Event lobby cancelled.";
+  }
+  await cancelParty(guild, party, "Cancelled by host.");
+  return "🧹 Party cancelled.";
+}
+
+function partyStartBlocker(party, userId) {
+  if (!party.hostId) return "📅 Scheduled event lobbies start automatically when the join window closes.";
+  if (userId !== party.hostId) return "Only host can start.";
+  if (party.state !== "LOBBY") return "Party is already running.";
+  return null;
+}
+
+// ---------- spectator bets (parimutuel) ----------
+// Non-racers stake tokens on a colour while the lobby is open. Stakes are escrowed and
+// mirrored in racestate.json (lobbyBets) until launch, then travel with the race record.
+// Winners split the whole pool pro rata; if nobody backed the winner every stake is returned.
+const SPECTATOR_MAX_BET = 50;
+
+function spectatorPool(bets) {
+  const byColour = new Map();
+  let total = 0;
+  for (const b of bets) {
+    byColour.set(b.colourKey, (byColour.get(b.colourKey) || 0) + b.amount);
+    total += b.amount;
+  }
+  return { total, byColour };
+}
+
+// "pool 24 • 🔴 10 (x2.40) • 🟢 14 (x1.71)"
+function spectatorPoolText(bets) {
+  if (!bets.length) return "`No bets yet.`";
+  const { total, byColour } = spectatorPool(bets);
+  const parts = COLOURS.filter((c) => byColour.has(c.key)).map(
+    (c) => `${c.label} ${byColour.get(c.key)} (x${(total / byColour.get(c.key)).toFixed(2)})`
+  );
+  return `Pool **${total}** token(s) • ${bets.length} bet(s)\n${parts.join(" • ")}`;
+}
+
+function spectatorBetOf(party, userId) {
+  return party.bets.find((b) => b.userId === userId) || null;
+}
+
+function spectatorBetBlocker(party, userId) {
+  if (party.state !== "LOBBY") return "🔒 Betting is locked — the race has launched.";
+  if (party.players.has(userId)) return "Racers can't side-bet on their own race.";
+  if (spectatorBetOf(party, userId)) return "You already have a bet on this race.";
+  return null;
+}
+
+function spectatorColourRow(party) {
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(`rp:betpick:${party.code}`)
+      .setPlaceholder("Back a boat…")
+      .addOptions(
+        COLOURS.map((c) => {
+          const racer = Array.from(party.players.entries()).find(([, p]) => p.colourKey === c.key);
+          return { label: c.name, value: c.key, emoji: c.label, description: racer ? "Racer boat" : "House boat" };
+        })
+      )
+  );
+}
+
+function spectatorAmountModal(party, colourKey) {
+  return new ModalBuilder()
+    .setCustomId(`rp:betamt:${party.code}:${colourKey}`)
+    .setTitle(`Bet on ${COLOUR_BY_KEY.get(colourKey).name} • ${party.code}`)
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("amount")
+          .setLabel(`Tokens to stake (1-${SPECTATOR_MAX_BET})`)
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setMaxLength(3)
+      )
+    );
+}
+
+function placeSpectatorBet(party, userId, colourKey, amount) {
+  const blocked = spectatorBetBlocker(party, userId);
+  if (blocked) return blocked;
+  if (!COLOUR_BY_KEY.has(colourKey)) return "❌ Unknown colour.";
+  if (!Number.isInteger(amount) || amount < 1 || amount > SPECTATOR_MAX_BET) {
+    return `❌ Bet must be a whole number from 1 to ${SPECTATOR_MAX_BET}.`;
+  }
+  if (getTok(userId).tokens < amount) return `❌ You have **${getTok(userId).tokens}** tokens.`;
+
+  adjustTokens(userId, -amount, "spectator_bet", { note: `Lobby ${party.code} • ${COLOUR_BY_KEY.get(colourKey).name}` });
+  saveTokens();
+  party.bets.push({ userId, colourKey, amount });
+  raceState.lobbyBets[party.code] = party.bets;
+  saveRaceState();
+
+  return `🎰 Bet **${amount}** token(s) on ${COLOUR_BY_KEY.get(colourKey).label} in \`${party.code}\`. Bets lock at launch.`;
+}
+
+// lobby closed before launch (or lost to a restart): every stake goes back
+function refundSpectatorBets(bets, why) {
+  for (const b of bets) adjustTokens(b.userId, b.amount, "spectator_refund", { note: why });
+  if (bets.length) saveTokens();
+}
+
+// at finalize: returns { lines, audit } for the results embed + audit log
+function settleSpectatorBets(race, winnerKey) {
+  const bets = race.bets || [];
+  if (!bets.length) return { lines: [], audit: [] };
+
+  const { total, byColour } = spectatorPool(bets);
+  const winningStake = byColour.get(winnerKey) || 0;
+  const note = `Party ${race.commit.slice(0, 8)}`;
+
+  if (!winningStake) {
+    refundSpectatorBets(bets, `${note} • nobody backed the winner`);
+    return {
+      lines: [`Nobody backed ${COLOUR_BY_KEY.get(winnerKey).label} — all **${total}** token(s) returned.`],
+      audit: bets.map((b) => `${b.userId}: ${b.colourKey} ${b.amount} → refunded`),
+    };
+  }
+
+  const lines = [];
+  const audit = [];
+  for (const b of bets) {
+    const won = b.colourKey === winnerKey ? Math.floor((total * b.amount) / winningStake) : 0;
+    if (won > 0) {
+      adjustTokens(b.userId, won, "spectator_win", { note });
+      lines.push(`${COLOUR_BY_KEY.get(b.colourKey).label} ${tag(b.userId)} → **+${won}** token(s)`);
+    }
+    audit.push(`${b.userId}: ${b.colourKey} ${b.amount} → ${won}`);
+  }
+  saveTokens();
+  return { lines: [`Pool **${total}** token(s)`, ...lines], audit };
+}
+
+// Lobby buttons, colour picker + bet flow. customIds: rp:<action>:<code>[:<colour>]
+async function handlePartyComponent(interaction) {
+  if (!interaction.isButton() && !interaction.isStringSelectMenu() && !interaction.isModalSubmit()) return false;
+  if (!interaction.customId.startsWith("rp:")) return false;
+
+  const [, action, code, colourArg] = interaction.customId.split(":");
+  const party = partiesByCode.get(code);
+  if (!party || party.guildId !== interaction.guildId) {
+    await interaction.reply({ content: "This lobby has closed.", ephemeral: true });
+    return true;
+  }
+
+  const guild = interaction.guild;
+  const userId = interaction.user.id;
+
+  if (action === "join") {
+    if (settings.freezeRaces) {
+      await interaction.reply({ content: "🛠️ Maintenance mode — check back soon.", ephemeral: true });
+      return true;
+    }
+    const blocked = partyJoinBlocker(party, userId);
+    if (blocked) {
+      await interaction.reply({ content: blocked, ephemeral: true });
+      return true;
+    }
+    // already racing in a full lobby: nothing left to switch to (and Discord rejects an empty select)
+    if (COLOURS.every((c) => colourTaken(party, c.key))) {
+      await interaction.reply({ content: "Every colour is taken — you’re already in this lobby.", ephemeral: true });
+      return true;
+    }
+    await interaction.reply({
+      content: `🎨 Pick a colour for lobby \`${party.code}\` (${party.tier.emoji} ${party.tier.label} • ${party.tier.tokenCost} token(s)):`,
+      components: [partyColourRow(party)],
+      ephemeral: true,
+    });
+    return true;
+  }
+
+  if (action === "bet") {
+    const blocked = spectatorBetBlocker(party, userId);
+    if (blocked) {
+      await interaction.reply({ content: blocked, ephemeral: true });
+      return true;
+    }
+    await interaction.reply({
+      content: `🎰 Back a boat in \`${party.code}\` — parimutuel, winners split the pool.\n${spectatorPoolText(party.bets)}`,
+      components: [spectatorColourRow(party)],
+      ephemeral: true,
+    });
+    return true;
+  }
+
+  if (action === "betpick") {
+    const blocked = spectatorBetBlocker(party, userId);
+    if (blocked) {
+      await interaction.update({ content: blocked, components: [] });
+      return true;
+    }
+    await interaction.showModal(spectatorAmountModal(party, interaction.values?.[0]));
+    return true;
+  }
+
+  if (action === "betamt") {
+    const amount = Number(interaction.fields.getTextInputValue("amount").trim());
+    const msg = placeSpectatorBet(party, userId, colourArg, amount);
+    await interaction.reply({ content: msg, ephemeral: true });
+    await refreshPartyEmbed(guild, party);
+    return true;
+  }
+
+  if (action === "pick") {
+    const msg = await partyJoin(guild, party, userId, interaction.values?.[0]);
+    await interaction.update({ content: msg, components: [] });
+    return true;
+  }
+
+  if (action === "leave") {
+    await interaction.reply({ content: await partyLeave(guild, party, userId), ephemeral: true });
+    return true;
+  }
+
+  if (action === "cancel") {
+    const isAdmin = interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator);
+    await interaction.reply({ content: await partyCancel(guild, party, userId, isAdmin), ephemeral: true });
+    return true;
+  }
+
+  if (action === "start") {
+    const blocked = partyStartBlocker(party, userId);
+    await interaction.reply({ content: blocked || "🏁 Starting party race now…", ephemeral: true });
+    if (!blocked) await runPartyRace(guild, party);
+    return true;
+  }
 
-  const { message } = await getPartyMessage(interaction.guild, party);
-  if (message) await message.edit({ embeds: [e] }).catch(() => {});
+  return false;
 }
 
 async function cancelParty(guild, party, reason) {
@@ -903,27 +2782,41 @@ async function cancelParty(guild, party, reason) {
     .setDescription(`${header("LOBBY ENDED")}\n\n${reason}`)
     .setFooter({ text: FOOTER });
 
-  if (message) await message.edit({ embeds: [e] }).catch(() => {});
+  if (message) await message.edit({ embeds: [e], components: [] }).catch(() => {});
   if (party.autoStartTimeout) clearTimeout(party.autoStartTimeout);
-  partyByGuild.delete(guild.id);
+  refundSpectatorBets(party.bets, `Lobby ${party.code} closed`);
+  delete raceState.lobbyBets[party.code];
+  saveRaceState();
+  removeParty(party);
 }
 
 async function runPartyRace(guild, party) {
-  if (settings.freezeRaces) return;
+  if (settings.freezeRaces) {
+    // a hostless event lobby has nobody to start it after the freeze: close it so its
+    // escrow comes back and the channel is free for the next occurrence
+    if (!party.hostId && party.state === "LOBBY" && !party.finalized) {
+      await cancelParty(guild, party, "🛠️ Races are frozen — event lobby closed. Side bets were refunded.");
+      await raceEventNotice(guild, `Event lobby ${party.code} closed`, "Races were frozen when the join window ended.");
+    }
+    return;
+  }
   seasonCheckAndResetIfNeeded();
 
   if (party.state !== "LOBBY" || party.finalized) return;
 
-  const tier = TIERS[party.tierKey] || TIERS.standard;
+  const tier = party.tier;
+  const trackLen = settings.trackLen;
 
   if (party.players.size < 2) {
     await cancelParty(guild, party, "Not enough racers joined in time. (Need **2+** to start)");
     return;
   }
 
-  // seeded RNG for party race
-  const seed = party.seed || newSeed();
-  const rng = makeRng(seed);
+  // lock the lobby before any await so a double Start/auto-start can't launch twice
+  party.state = "STARTING";
+
+  // seeded RNG for party race (committed in the lobby embed)
+  const { seed, salt, commit } = party;
 
   // Audit: log seed (party)
   await auditLog(
@@ -932,16 +2825,18 @@ async function runPartyRace(guild, party) {
       .setColor(COLOR_NEUTRAL)
       .setTitle(`🎲 Audit • PARTY RNG Seed • Season #${statsDB.meta.seasonNumber}`)
       .addFields(
-        { name: "Host", value: `${tag(party.hostId)} (${party.hostId})`, inline: false },
+        { name: "Host", value: party.hostId ? `${tag(party.hostId)} (${party.hostId})` : partyHostText(null), inline: false },
         { name: "Tier", value: `${tier.emoji} ${tier.label}`, inline: true },
-        { name: "Seed", value: `${seed}`, inline: true }
+        { name: "Seed", value: `${seed}`, inline: true },
+        { name: "Salt", value: `${salt}`, inline: true },
+        { name: "Commit", value: `\`${commit}\``, inline: false }
       )
       .setFooter({ text: FOOTER })
   );
 
   // re-check everyone at start (still important)
   for (const uid of party.players.keys()) {
-    const left = onCooldown(lastPartyPlay, uid, PARTY_COOLDOWN_SEC);
+    const left = onCooldown(lastPartyPlay, uid, settings.partyCooldownSec);
     if (left) {
       await cancelParty(guild, party, "Someone was on cooldown. Try again later.");
       return;
@@ -953,13 +2848,55 @@ async function runPartyRace(guild, party) {
   }
 
   for (const uid of party.players.keys()) {
-    getTok(uid).tokens -= tier.tokenCost;
+    adjustTokens(uid, -tier.tokenCost, "race_entry", { note: `Party • ${tier.label}` });
     setCooldown(lastPartyPlay, uid);
     getStats(uid).races += 1;
   }
   saveTokens();
   saveStats();
 
+  // streaks are locked at launch so the replay sees the same drag
+  const streakByColour = new Map(
+    Array.from(party.players.entries()).map(([uid, p]) => [p.colourKey, getStats(uid).winStreak || 0])
+  );
+  const entrants = Array.from(party.players.entries()).map(([userId, p]) => ({ userId, colourKey: p.colourKey }));
+  const { mods, skins } = raceGarage(entrants);
+  recordFairness(commit, {
+    mode: "party",
+    tierKey: tier.key,
+    houseEdge: tier.houseEdge,
+    streakMult: tier.streakMult,
+    trackLen,
+    streaks: Object.fromEntries(streakByColour),
+    mods,
+  });
+
+  const race = {
+    commit,
+    mode: "party",
+    guildId: guild.id,
+    channelId: party.channelId,
+    messageId: party.messageId,
+    season: statsDB.meta.seasonNumber,
+    tier,
+    seed,
+    salt,
+    trackLen,
+    streaks: Object.fromEntries(streakByColour),
+    entrants,
+    mods,
+    skins,
+    hostId: party.hostId,
+    ranked: party.ranked,
+    bets: party.bets.slice(), // locked at launch
+    startedAt: Date.now(),
+    settling: false,
+  };
+  delete raceState.lobbyBets[party.code];
+  persistRace(race);
+  const sim = raceSim(race);
+  const inputsText = fairnessInputsText(commit);
+
   party.state = "RUNNING";
   if (party.autoStartTimeout) clearTimeout(party.autoStartTimeout);
 
@@ -983,6 +2920,8 @@ async function runPartyRace(guild, party) {
 
     if (created) {
       party.messageId = created.id;
+      race.messageId = created.id;
+      saveRaceState();
       lobbyMsg = created;
     }
   }
@@ -994,93 +2933,40 @@ async function runPartyRace(guild, party) {
       .setDescription(`${CINEMATIC.join("\n")}\n\n🏁 **LAUNCH!**`)
       .setFooter({ text: FOOTER });
 
-    await lobbyMsg.edit({ embeds: [cin] }).catch(() => {});
+    await lobbyMsg.edit({ embeds: [cin], components: [] }).catch(() => {});
     await new Promise((r) => setTimeout(r, 900));
   }
 
-  const racers = COLOURS.map((c) => ({
-    ...c,
-    pos: 0,
-    finished: false,
-    finishTick: null,
-    lastEvent: null,
-  }));
-
-  let finishedCount = 0;
   let tick = 0;
   let lastFrameKey = "";
 
   const interval = setInterval(async () => {
     try {
-      if (party.finalized) return;
+      if (party.finalized || tick >= sim.frames.length) return;
 
       tick++;
 
-      const order = racers.slice().sort((a, b) => b.pos - a.pos);
-      const rankMap = new Map(order.map((r, i) => [r.key, i]));
-
       const rhibEmoji = getRhibEmoji(guild);
-      const commentary = rng() < 0.2 ? rand(COMMENTARY, rng) : null;
-
-      for (const r of racers) {
-        if (r.finished) continue;
-
-        let step = rollBaseStep(rng);
-
-        const ev = maybeEvent(rng);
-        r.lastEvent = ev ? ev.text : null;
-
-        if (ev?.kind === "BOOST") step += 1;
-        if (ev?.kind === "STALL") step = Math.max(0, step - 1);
-
-        const rk = rankMap.get(r.key) ?? 2;
-        step += houseEdgeModifier(rk, racers.length, tier.key, rng);
-        step += finalSprintBoost(r.pos, rng);
-
-        // streak penalty for the player who chose this colour
-        const playerEntry = Array.from(party.players.entries()).find(([, p]) => p.colourKey === r.key);
-        if (playerEntry) {
-          const [uid] = playerEntry;
-          const s = getStats(uid);
-          step += streakPenalty(s.winStreak, tier.key, rng);
-        }
-
-        step = Math.max(0, Math.min(3, step));
-        r.pos += step;
-
-        if (r.pos >= TRACK_LEN) {
-          r.pos = TRACK_LEN - 1;
-          r.finished = true;
-          r.finishTick = tick;
-          finishedCount++;
-        }
-      }
-
-      let places = [];
-      if (finishedCount === racers.length) {
-        places = racers
-          .slice()
-          .sort((a, b) => a.finishTick - b.finishTick || b.pos - a.pos)
-          .map((r, i) => ({ ...r, place: i + 1 }));
-      }
+      const { racers, places, commentary } = displayFrame(sim, tick - 1);
 
       const lines = (places.length ? places : racers).map((r) => {
-        const badge = places.length ? placeBadge(r.place) : `(${pct(r.pos)}%)`;
-        return renderLine(r, r.pos, badge, rhibEmoji);
+        const badge = places.length ? placeBadge(r.place) : `(${pct(r.pos, trackLen)}%)`;
+        return renderRacerLine(race, r, badge, rhibEmoji);
       });
 
       const lineup = Array.from(party.players.entries())
         .map(([uid, p]) => {
           const c = COLOUR_BY_KEY.get(p.colourKey);
           const crown = uid === party.hostId ? " 👑" : "";
-          return `${c.label} ${tag(uid)}${crown}`;
+          const mods = garageUpgradeText(race.mods[p.colourKey]);
+          return `${c.label} ${tag(uid)}${crown}${mods ? ` • ${mods}` : ""}`;
         })
         .join("\n");
 
       const comms = racers
-        .filter((r) => r.lastEvent)
+        .filter((r) => r.event)
         .slice(0, 2)
-        .map((r) => `${r.label} ${r.lastEvent}`)
+        .map((r) => `${r.label} ${r.event}`)
         .join("\n");
 
       const frameKey = `${lines.join("|")}__${lineup}__${comms}__${commentary || ""}`;
@@ -1096,135 +2982,1565 @@ async function runPartyRace(guild, party) {
               `**Line-up:**\n${lineup}\n\n` +
               `🏁 **Track:**\n${lines.join("\n")}\n\n` +
               `📡 **Comms:**\n${comms || "`Engines roaring…`"}\n` +
-              (commentary ? `\n${commentary}` : "")
+              (commentary ? `\n${commentary}\n` : "") +
+              `\n🔒 **Fairness commit:** \`${commit}\`\n${inputsText}`
           )
           .setFooter({ text: FOOTER });
 
-        await lobbyMsg.edit({ embeds: [e] }).catch(() => {});
-      }
+        await lobbyMsg.edit({ embeds: [e] }).catch(() => {});
+      }
+
+      if (places.length && !party.finalized) {
+        party.finalized = true;
+        clearInterval(interval);
+
+        const endEmbed = await settleRace(guild, race, sim);
+        if (lobbyMsg) await lobbyMsg.edit({ embeds: [endEmbed] }).catch(() => {});
+
+        removeParty(party);
+      }
+    } catch (e) {
+      party.finalized = true;
+      clearInterval(interval);
+      removeParty(party);
+      console.log("Party race error:", e?.message || e);
+      await failRace(guild, race, e).catch(() => {});
+    }
+  }, settings.tickMs);
+}
+
+// Party result: per-player stats, achievements, payouts + audit. Returns the results embed.
+async function finalizePartyRace(guild, race, sim) {
+  const { tier, seed, salt } = race;
+  const { places } = displayFrame(sim, sim.frames.length - 1);
+
+  const photoFinish = sim.photoFinish;
+  recordFairnessPlaces(race.commit, places);
+  const placeByKey = new Map(places.map((p) => [p.key, p.place]));
+
+  const placementSummary = [];
+  const payoutSummary = [];
+  const auditPayoutLines = [];
+  const awardedLines = [];
+
+  // ratings only move within the season the entries were taken in
+  const rated = race.season === statsDB.meta.seasonNumber;
+  const ratingDeltas = rated
+    ? partyRatingDeltas(race.entrants.map((e) => ({ userId: e.userId, place: placeByKey.get(e.colourKey) })))
+    : new Map();
+
+  for (const { userId: uid, colourKey } of race.entrants) {
+    const truePlace = placeByKey.get(colourKey);
+    const amount = tier.payouts[truePlace] || 0;
+    const c = COLOUR_BY_KEY.get(colourKey);
+    const s = getStats(uid);
+
+    let ratingText = "";
+    if (rated) {
+      const delta = ratingDeltas.get(uid) || 0;
+      s.rating = ratingOf(s) + delta;
+      s.ratedRaces = (s.ratedRaces || 0) + 1;
+      ratingText = ` • ⭐ ${s.rating} (${delta >= 0 ? "+" : ""}${delta})`;
+    }
+
+    if (truePlace === 1) {
+      s.winStreak = (s.winStreak || 0) + 1;
+      s.bestWinStreak = Math.max(s.bestWinStreak || 0, s.winStreak);
+    } else {
+      s.winStreak = 0;
+    }
+
+    s.bestFinish = Math.min(s.bestFinish, truePlace);
+    if (truePlace === 1) {
+      s.wins += 1;
+      s.partyWins = (s.partyWins || 0) + 1;
+    }
+    if (truePlace <= 3) s.podiums += 1;
+    if (photoFinish) s.photoFinishes = (s.photoFinishes || 0) + 1;
+    s.totalWon += amount;
+
+    const got = evaluateAchievements(guild, uid, { mode: "party", place: truePlace, photoFinish });
+    const questsDone = trackQuests(uid, { mode: "party", tierKey: tier.key, colourKey, place: truePlace });
+
+    recordRaceHistory(uid, {
+      mode: "party",
+      tier,
+      colourKey,
+      place: truePlace,
+      field: places.length,
+      cost: raceEntryCost(race),
+      payout: amount,
+      payoutUnit: "kaos",
+      seed,
+      salt,
+      photoFinish,
+    });
+    if (got.length) awardedLines.push(`${c.label} ${tag(uid)}: ${got.map(achievementRewardText).join(", ")}`);
+    if (questsDone.length) awardedLines.push(`${c.label} ${tag(uid)}: ${questsDone.map(questRewardText).join(", ")}`);
+
+    if (amount > 0) PAYOUTS.enqueue(guild.id, uid, amount, "party");
+
+    placementSummary.push(`${placeBadge(truePlace)} ${c.label} ${tag(uid)}${ratingText}`);
+    payoutSummary.push(`${c.label} ${tag(uid)} → **${amount.toLocaleString()} ${CURRENCY_NAME}**`);
+    auditPayoutLines.push(`${uid}:${amount}`);
+  }
+
+  saveStats();
+  saveRaceHistory();
+
+  const bets = settleSpectatorBets(race, places[0].key);
+
+  const endEmbed = new EmbedBuilder()
+    .setColor(COLOR_ACCENT)
+    .setTitle(`🏆 ${BRAND} — PARTY RESULTS`)
+    .setDescription(
+      `${header("RACE COMPLETE")}\n\n` +
+        `${tier.emoji} **Tier:** ${tier.label}${race.ranked ? " • 🏅 Ranked" : ""}\n` +
+        (photoFinish ? `📸 **PHOTO FINISH!** VAR called.\n\n` : "\n") +
+        `**Placements:**\n${placementSummary.join("\n")}\n\n` +
+        `**Payouts (Kaos queued):**\n${payoutSummary.join("\n")}\n` +
+        (awardedLines.length ? `\n🏅 **Achievements & quests:**\n${awardedLines.join("\n")}\n` : "\n") +
+        (bets.lines.length ? `🎰 **Spectator bets:**\n${bets.lines.join("\n")}\n\n` : "") +
+        `${fairnessRevealText(seed, salt)}\n\n` +
+        `Create a new lobby with \`/raceparty create\`.`
+    )
+    .setFooter({ text: FOOTER });
+
+  await auditLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle(`🧾 Audit • PARTY • Season #${statsDB.meta.seasonNumber}`)
+      .addFields(
+        { name: "Tier", value: `${tier.emoji} ${tier.label} (cost ${tier.tokenCost})`, inline: true },
+        { name: "Host", value: race.hostId ? `${tag(race.hostId)} (${race.hostId})` : partyHostText(null), inline: true },
+        { name: "Players", value: `${race.entrants.length}`, inline: true },
+        { name: "Seed", value: `${seed}`, inline: true },
+        {
+          name: "Payouts",
+          value:
+            (auditPayoutLines.join("\n") || "None") + (settings.freezePayouts ? "\n(FROZEN — held in ledger)" : ""),
+          inline: false,
+        }
+      )
+      .setFooter({ text: FOOTER })
+  );
+
+  if (bets.audit.length) {
+    await auditLog(
+      guild,
+      new EmbedBuilder()
+        .setColor(COLOR_NEUTRAL)
+        .setTitle(`🎰 Audit • Spectator bets settled • Season #${statsDB.meta.seasonNumber}`)
+        .setDescription(
+          `Winner: ${COLOUR_BY_KEY.get(places[0].key).label} • Seed: \`${seed}\`\n` +
+            `\`user: colour stake → paid\`\n${bets.audit.join("\n")}`.slice(0, 4000)
+        )
+        .setFooter({ text: FOOTER })
+    );
+  }
+
+  return endEmbed;
+}
+
+// ================== DUELS ==================
+// 1v1 token wagers: the challenger's wager is escrowed when the challenge is posted,
+// the opponent's on accept. Two boats, no house-edge drag or streak penalty; the
+// winner takes the pot minus settings.duelRakePct. Open challenges live in
+// racestate.json (duels) so a restart can't swallow an escrowed wager.
+const DUEL_TIMEOUT_SEC = 60;
+const DUEL_COLOURS = ["red", "blue"]; // track order; who gets which is drawn per duel
+const duelTimers = new Map(); // duelId -> timeout
+
+function userInDuel(userId) {
+  const pending = Object.values(raceState.duels).some((d) => d.challengerId === userId || d.opponentId === userId);
+  const racing = Object.values(raceState.races).some(
+    (r) => r.mode === "duel" && !isStaleRace(r) && r.entrants.some((e) => e.userId === userId)
+  );
+  return pending || racing;
+}
+
+// [challenger colour, opponent colour]; challenges posted before the draw keep red/blue
+function duelColours(duel) {
+  return duel.colours || DUEL_COLOURS;
+}
+
+function duelChallengeEmbed(duel, status = "") {
+  const pot = duel.wager * 2;
+  return new EmbedBuilder()
+    .setColor(status ? COLOR_DARK : COLOR_ACCENT)
+    .setTitle(`⚔️ ${BRAND} — DUEL CHALLENGE`)
+    .setDescription(
+      `${header("1V1 GRUDGE RACE")}\n\n` +
+        `${COLOUR_BY_KEY.get(duelColours(duel)[0]).label} ${tag(duel.challengerId)} **vs** ${COLOUR_BY_KEY.get(duelColours(duel)[1]).label} ${tag(duel.opponentId)}\n` +
+        `${duel.tier.emoji} **Tier:** ${duel.tier.label}\n` +
+        `🎟️ **Wager:** ${duel.wager} token(s) each • **Pot:** ${pot} • **Rake:** ${duel.rakePct}%\n` +
+        `🌊 No house edge, no streak penalty — straight race (photo finishes: seeded coin flip).\n\n` +
+        (status || `⏱️ Expires <t:${duel.expiresAt}:R> • ${tag(duel.opponentId)} accept or decline below.`)
+    )
+    .setFooter({ text: FOOTER });
+}
+
+function duelRow(duel) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`duel:accept:${duel.id}`).setLabel("Accept").setEmoji("⚔️").setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`duel:decline:${duel.id}`).setLabel("Decline").setEmoji("✖️").setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function closeDuel(duel) {
+  delete raceState.duels[duel.id];
+  saveRaceState();
+  const t = duelTimers.get(duel.id);
+  if (t) clearTimeout(t);
+  duelTimers.delete(duel.id);
+}
+
+// declined / withdrawn / expired: give the challenger's escrow back and close the prompt
+async function refundDuel(guild, duel, status) {
+  if (!raceState.duels[duel.id]) return;
+  closeDuel(duel);
+  adjustTokens(duel.challengerId, duel.wager, "duel_refund", { counterparty: duel.opponentId });
+  saveTokens();
+
+  const ch = guild ? await guild.channels.fetch(duel.channelId).catch(() => null) : null;
+  const msg = ch && "messages" in ch && duel.messageId ? await ch.messages.fetch(duel.messageId).catch(() => null) : null;
+  if (msg) await msg.edit({ embeds: [duelChallengeEmbed(duel, status)], components: [] }).catch(() => {});
+}
+
+function armDuelTimeout(duel) {
+  const ms = Math.max(0, duel.expiresAt - nowSec()) * 1000;
+  duelTimers.set(
+    duel.id,
+    setTimeout(async () => {
+      const guild = await client.guilds.fetch(duel.guildId).catch(() => null);
+      await refundDuel(guild, duel, `⌛ Challenge expired — ${duel.wager} token(s) returned to ${tag(duel.challengerId)}.`).catch(() => {});
+    }, ms)
+  );
+}
+
+// Startup: open challenges keep their buttons; just re-arm the expiry
+function recoverDuels() {
+  for (const duel of Object.values(raceState.duels)) armDuelTimeout(duel);
+}
+
+async function createDuel(interaction, opponent, tierKey, wager) {
+  if (settings.freezeRaces) {
+    return interaction.reply({ content: "🛠️ Maintenance mode — check back soon.", ephemeral: true });
+  }
+
+  const challengerId = interaction.user.id;
+  if (opponent.bot || opponent.id === challengerId) {
+    return interaction.reply({ content: "❌ Pick another racer to duel.", ephemeral: true });
+  }
+
+  const stored = playableTier(tierKey);
+  if (!stored) return interaction.reply({ content: "❌ That tier isn't available right now.", ephemeral: true });
+  if (wager < stored.tokenCost) {
+    return interaction.reply({
+      content: `❌ Minimum wager for **${stored.label}** is **${stored.tokenCost} token(s)**.`,
+      ephemeral: true,
+    });
+  }
+
+  if (userInDuel(challengerId)) return interaction.reply({ content: "⏳ You already have a duel open.", ephemeral: true });
+  if (userInDuel(opponent.id)) {
+    return interaction.reply({ content: `⏳ ${tag(opponent.id)} is already in a duel.`, ephemeral: true });
+  }
+  if (getTok(challengerId).tokens < wager) {
+    return interaction.reply({ content: `❌ You have **${getTok(challengerId).tokens}** tokens.`, ephemeral: true });
+  }
+
+  // escrow the challenger's side now
+  adjustTokens(challengerId, -wager, "duel_wager", { counterparty: opponent.id });
+  saveTokens();
+
+  const duel = {
+    id: crypto.randomBytes(4).toString("hex"),
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    messageId: null,
+    challengerId,
+    opponentId: opponent.id,
+    // snapshot: duels race flat regardless of the tier's edge settings
+    tier: { ...stored, houseEdge: 0, streakMult: 0 },
+    colours: shuffled(DUEL_COLOURS),
+    wager,
+    rakePct: settings.duelRakePct,
+    expiresAt: nowSec() + DUEL_TIMEOUT_SEC,
+  };
+  raceState.duels[duel.id] = duel;
+  saveRaceState();
+
+  const msg = await interaction.reply({
+    content: `${tag(opponent.id)} — you've been challenged!`,
+    embeds: [duelChallengeEmbed(duel)],
+    components: [duelRow(duel)],
+    fetchReply: true,
+  });
+  duel.messageId = msg.id;
+  saveRaceState();
+  armDuelTimeout(duel);
+}
+
+// duel:accept:<id> / duel:decline:<id>
+async function handleDuelComponent(interaction) {
+  if (!interaction.isButton() || !interaction.customId.startsWith("duel:")) return false;
+
+  const [, action, id] = interaction.customId.split(":");
+  const duel = raceState.duels[id];
+  if (!duel) {
+    await interaction.reply({ content: "This duel is no longer open.", ephemeral: true });
+    return true;
+  }
+
+  const userId = interaction.user.id;
+
+  if (action === "decline") {
+    if (userId !== duel.opponentId && userId !== duel.challengerId) {
+      await interaction.reply({ content: "This isn't your duel.", ephemeral: true });
+      return true;
+    }
+    const who = userId === duel.challengerId ? "withdrawn by the challenger" : `declined by ${tag(userId)}`;
+    await interaction.deferUpdate().catch(() => {});
+    await refundDuel(interaction.guild, duel, `✖️ Challenge ${who} — wager returned.`);
+    return true;
+  }
+
+  if (action === "accept") {
+    if (userId !== duel.opponentId) {
+      await interaction.reply({ content: "Only the challenged racer can accept.", ephemeral: true });
+      return true;
+    }
+    if (settings.freezeRaces) {
+      await interaction.reply({ content: "🛠️ Maintenance mode — check back soon.", ephemeral: true });
+      return true;
+    }
+    if (getTok(userId).tokens < duel.wager) {
+      await interaction.reply({
+        content: `❌ You need **${duel.wager} token(s)** to accept (you have **${getTok(userId).tokens}**).`,
+        ephemeral: true,
+      });
+      return true;
+    }
+
+    // persist the race before the opponent pays in: from here on a failed edit or a
+    // restart ends in recovery or a refund of both wagers, never in a lost pot
+    const race = duelRace(interaction.guild, duel, interaction.message?.id);
+    persistRace(race);
+    closeDuel(duel);
+    adjustTokens(userId, -duel.wager, "duel_wager", { counterparty: duel.challengerId });
+    saveTokens();
+
+    await interaction
+      .update({ content: "", embeds: [duelChallengeEmbed(duel, "⚔️ **Accepted — boats to the line!**")], components: [] })
+      .catch(() => {});
+    await runDuelRace(interaction.guild, race, interaction.message);
+    return true;
+  }
+
+  return false;
+}
+
+// accepted duel -> race record (not persisted yet)
+function duelRace(guild, duel, messageId) {
+  const seed = newSeed();
+  const salt = newSalt();
+  const commit = seedCommitment(seed, salt);
+  const { tier } = duel;
+  const trackLen = settings.trackLen;
+
+  recordFairness(commit, {
+    mode: "duel",
+    tierKey: tier.key,
+    houseEdge: 0,
+    streakMult: 0,
+    trackLen,
+    streaks: {},
+    racers: DUEL_COLOURS,
+    seededTies: true,
+  });
+
+  return {
+    commit,
+    mode: "duel",
+    guildId: guild.id,
+    channelId: duel.channelId,
+    messageId: messageId || null,
+    season: statsDB.meta.seasonNumber,
+    tier,
+    seed,
+    salt,
+    trackLen,
+    streaks: {},
+    racers: DUEL_COLOURS,
+    seededTies: true,
+    entrants: [
+      { userId: duel.challengerId, colourKey: duelColours(duel)[0] },
+      { userId: duel.opponentId, colourKey: duelColours(duel)[1] },
+    ],
+    hostId: duel.challengerId,
+    entryCost: duel.wager,
+    rakePct: duel.rakePct,
+    startedAt: Date.now(),
+    settling: false,
+  };
+}
+
+async function runDuelRace(guild, race, msg) {
+  const { commit, trackLen } = race;
+  const sim = raceSim(race);
+  const inputsText = fairnessInputsText(commit);
+
+  const vsLine = race.entrants.map((e) => `${COLOUR_BY_KEY.get(e.colourKey).label} ${tag(e.userId)}`).join(" **vs** ");
+
+  let tick = 0;
+  let finalized = false;
+  let lastFrameKey = "";
+
+  const interval = setInterval(async () => {
+    try {
+      if (finalized || tick >= sim.frames.length) return;
+      tick++;
+
+      const rhibEmoji = getRhibEmoji(guild);
+      const { racers, places, commentary } = displayFrame(sim, tick - 1);
+
+      const lines = (places.length ? places : racers).map((r) => {
+        const badge = places.length ? placeBadge(r.place) : `(${pct(r.pos, trackLen)}%)`;
+        return renderLine(r, r.pos, badge, rhibEmoji, trackLen);
+      });
+
+      const comms = racers
+        .filter((r) => r.event)
+        .map((r) => `${r.label} ${r.event}`)
+        .join("\n");
+
+      const frameKey = `${lines.join("|")}__${comms}__${commentary || ""}`;
+      if (msg && frameKey !== lastFrameKey) {
+        lastFrameKey = frameKey;
+        await msg
+          .edit({
+            embeds: [
+              new EmbedBuilder()
+                .setColor(COLOR_ACCENT)
+                .setTitle(`⚔️ ${BRAND} — DUEL LIVE`)
+                .setDescription(
+                  `${header("HEAD TO HEAD")}\n\n` +
+                    `${vsLine}\n` +
+                    `🎟️ **Pot:** ${race.entryCost * 2} token(s)\n\n` +
+                    `🏁 **Track:**\n${lines.join("\n")}\n\n` +
+                    `📡 **Comms:**\n${comms || "`Seas are calm…`"}\n` +
+                    (commentary ? `\n${commentary}\n` : "") +
+                    `\n🔒 **Fairness commit:** \`${commit}\`\n${inputsText}`
+                )
+                .setFooter({ text: FOOTER }),
+            ],
+          })
+          .catch(() => {});
+      }
+
+      if (places.length && !finalized) {
+        finalized = true;
+        clearInterval(interval);
+
+        const resultEmbed = await settleRace(guild, race, sim);
+        if (msg) await msg.reply({ embeds: [resultEmbed] }).catch(() => {});
+      }
+    } catch (e) {
+      finalized = true;
+      clearInterval(interval);
+      console.log("Duel race error:", e?.message || e);
+      await failRace(guild, race, e).catch(() => {});
+    }
+  }, settings.tickMs);
+}
+
+// Duel result: winner takes the pot minus rake (tokens) + audit. Returns the result embed.
+async function finalizeDuelRace(guild, race, sim) {
+  const { seed, salt } = race;
+  const { places } = displayFrame(sim, sim.frames.length - 1);
+  recordFairnessPlaces(race.commit, places);
+
+  const winnerKey = places[0].key;
+  const winner = race.entrants.find((e) => e.colourKey === winnerKey);
+  const loser = race.entrants.find((e) => e.colourKey !== winnerKey);
+
+  const pot = race.entryCost * 2;
+  const rake = Math.floor((pot * (race.rakePct || 0)) / 100);
+  const prize = pot - rake;
+
+  adjustTokens(winner.userId, prize, "duel_win", { counterparty: loser.userId, note: `Pot ${pot} • rake ${rake}` });
+  saveTokens();
+
+  // duel stats only count within the season the wagers were taken in
+  const awardedLines = [];
+  if (race.season === statsDB.meta.seasonNumber) {
+    for (const e of [winner, loser]) {
+      const s = getStats(e.userId);
+      if (e === winner) s.duelWins = (s.duelWins || 0) + 1;
+      if (sim.photoFinish) s.photoFinishes = (s.photoFinishes || 0) + 1;
+
+      const ctx = { mode: "duel", place: e === winner ? 1 : 2, photoFinish: sim.photoFinish };
+      const got = evaluateAchievements(guild, e.userId, ctx);
+      if (got.length) awardedLines.push(`${tag(e.userId)}: ${got.map(achievementRewardText).join(", ")}`);
+    }
+    saveStats();
+  }
+
+  for (const e of [winner, loser]) {
+    const questsDone = trackQuests(e.userId, { mode: "duel", tierKey: race.tier.key, colourKey: e.colourKey, place: e === winner ? 1 : 2 });
+    if (questsDone.length) awardedLines.push(`${tag(e.userId)}: ${questsDone.map(questRewardText).join(", ")}`);
+
+    recordRaceHistory(e.userId, {
+      mode: "duel",
+      tier: race.tier,
+      colourKey: e.colourKey,
+      place: e === winner ? 1 : 2,
+      field: 2,
+      cost: race.entryCost,
+      payout: e === winner ? prize : 0,
+      payoutUnit: "tokens",
+      seed,
+      salt,
+      photoFinish: sim.photoFinish,
+    });
+  }
+  saveRaceHistory();
+
+  const results = places
+    .map((p) => `${placeBadge(p.place)} ${p.label} ${tag(race.entrants.find((e) => e.colourKey === p.key).userId)}`)
+    .join("\n");
+
+  await auditLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle(`🧾 Audit • DUEL • Season #${statsDB.meta.seasonNumber}`)
+      .addFields(
+        { name: "Winner", value: `${tag(winner.userId)} (${winner.userId})`, inline: true },
+        { name: "Loser", value: `${tag(loser.userId)} (${loser.userId})`, inline: true },
+        { name: "Wager", value: `${race.entryCost} each`, inline: true },
+        { name: "Prize", value: `${prize} (rake ${rake})`, inline: true },
+        { name: "Seed", value: `${seed}`, inline: true }
+      )
+      .setFooter({ text: FOOTER })
+  );
+
+  return new EmbedBuilder()
+    .setColor(COLOR_PRIMARY)
+    .setTitle(`🏆 ${BRAND} — DUEL RESULT`)
+    .setDescription(
+      `${header("RACE COMPLETE")}\n\n` +
+        `🎉 ${tag(winner.userId)} wins **${prize} token(s)**` +
+        (rake ? ` (pot ${pot} − ${rake} rake)` : "") +
+        `\n` +
+        (sim.photoFinish ? `📸 **PHOTO FINISH!** VAR called.\n` : "") +
+        `\n**Placements:**\n${results}\n\n` +
+        (awardedLines.length ? `🏅 **Achievements & quests:**\n${awardedLines.join("\n")}\n\n` : "") +
+        `${fairnessRevealText(seed, salt)}`
+    )
+    .setFooter({ text: FOOTER });
+}
+
+// ================== TOURNAMENTS ==================
+// One tournament per guild at a time. Entrants pay the tier's token cost to register,
+// are shuffled into heats of up to 5, and the top finishers of each heat advance until
+// a single-heat final decides the champion (Kaos prize + achievement).
+// Heats run one after another in the tournament channel; every heat's seed is stored
+// before it plays, so a restart replays the same heat and carries on.
+const TOURNEYS_FILE = path.join(DATA_DIR, "tournaments.json");
+const TOURNEY_HEAT_SIZE = 5;
+const TOURNEY_HEAT_GAP_MS = 8000;
+
+const tourneyDB = loadJsonSafe(TOURNEYS_FILE, { tourneys: {} });
+if (!tourneyDB.tourneys || typeof tourneyDB.tourneys !== "object") tourneyDB.tourneys = {};
+
+function saveTourneys() {
+  saveJson(TOURNEYS_FILE, tourneyDB);
+}
+
+// open = registering or running
+function openTourney(guildId) {
+  return (
+    Object.values(tourneyDB.tourneys).find(
+      (t) => t.guildId === guildId && (t.state === "REGISTRATION" || t.state === "RUNNING")
+    ) || null
+  );
+}
+
+function shuffled(arr) {
+  const out = arr.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(0, i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// players -> { heats: [{ players, seed, salt, commit, results }], advance }
+// players are reshuffled every round: lane (colour) order matters on the water
+function buildTourneyRound(players) {
+  const heatCount = Math.ceil(players.length / TOURNEY_HEAT_SIZE);
+  const heats = Array.from({ length: heatCount }, () => ({ players: [], seed: null, salt: null, commit: null, results: null }));
+  shuffled(players).forEach((uid, i) => heats[i % heatCount].players.push(uid));
+  // enough qualifiers per heat to fill (at most) one heat next round; a lone heat is the final
+  const advance = heatCount === 1 ? 1 : Math.max(1, Math.floor(TOURNEY_HEAT_SIZE / heatCount));
+  return { heats, advance };
+}
+
+function tourneyRoundName(t, roundIndex) {
+  const round = t.rounds[roundIndex];
+  return round.heats.length === 1 ? "Final" : `Round ${roundIndex + 1}`;
+}
+
+function tourneyEmbed(t) {
+  const tier = t.tier;
+  const lines = [
+    `${header(`TOURNAMENT \`${t.id}\``)}`,
+    "",
+    `${tier.emoji} **Tier:** ${tier.label} • Entry: **${t.entryCost} token(s)**`,
+    `💰 **Champion prize:** ${t.prize.toLocaleString()} ${CURRENCY_NAME} + 🏅 ${achievementDef("tourney_champ").name}`,
+    `👥 **Entrants:** ${t.entrants.length} / ${t.maxEntrants}`,
+    `📍 **Heats run in:** <#${t.channelId}>`,
+  ];
+
+  if (t.state === "REGISTRATION") {
+    lines.push("", `**Registered:**`, t.entrants.length ? t.entrants.map(tag).join(", ") : "`Nobody yet.`");
+    lines.push("", "Join with `/racetourney register`.");
+  }
+
+  t.rounds.forEach((round, r) => {
+    lines.push("", `**${tourneyRoundName(t, r)}**${round.heats.length > 1 ? ` (top ${round.advance} advance)` : ""}`);
+    round.heats.forEach((heat, h) => {
+      const label = round.heats.length > 1 ? `Heat ${h + 1}: ` : "";
+      if (!heat.results) {
+        lines.push(`${label}${heat.players.map(tag).join(", ")} — ⏳`);
+        return;
+      }
+      const qualifies = (i) => round.heats.length > 1 && i < round.advance;
+      const shown = heat.results.map((uid, i) => `${placeBadge(i + 1)} ${tag(uid)}${qualifies(i) ? " ✅" : ""}`);
+      lines.push(`${label}${shown.join(" ")}`);
+    });
+  });
+
+  if (t.state === "DONE") lines.push("", `👑 **Champion:** ${tag(t.championId)}`);
+  if (t.state === "CANCELLED") lines.push("", "🧹 **Cancelled** — entry fees refunded.");
+
+  return new EmbedBuilder()
+    .setColor(t.state === "DONE" ? COLOR_PRIMARY : COLOR_ACCENT)
+    .setTitle(`🏆 ${BRAND} — RHIB TOURNAMENT`)
+    .setDescription(lines.join("\n").slice(0, 4000))
+    .setFooter({ text: FOOTER });
+}
+
+async function tourneyChannel(guild, t) {
+  const ch = await guild.channels.fetch(t.channelId).catch(() => null);
+  return ch && "send" in ch ? ch : null;
+}
+
+// bracket message: posted once, edited after every heat
+async function updateTourneyBracket(guild, t) {
+  const ch = await tourneyChannel(guild, t);
+  if (!ch) return;
+  const msg = t.bracketMessageId ? await ch.messages.fetch(t.bracketMessageId).catch(() => null) : null;
+  if (msg) {
+    await msg.edit({ embeds: [tourneyEmbed(t)] }).catch(() => {});
+    return;
+  }
+  const posted = await ch.send({ embeds: [tourneyEmbed(t)] }).catch(() => null);
+  if (posted) {
+    t.bracketMessageId = posted.id;
+    saveTourneys();
+  }
+}
+
+// Animate one heat in the channel; resolves with the finishing order (user ids)
+async function playTourneyHeat(guild, t, roundIndex, heatIndex) {
+  const heat = t.rounds[roundIndex].heats[heatIndex];
+  const racers = COLOURS.slice(0, heat.players.length).map((c) => c.key);
+  const colourOf = new Map(racers.map((key, i) => [key, heat.players[i]]));
+
+  // seed is stored before the heat plays: a restart replays the same race
+  if (!heat.seed) {
+    heat.seed = newSeed();
+    heat.salt = newSalt();
+    heat.commit = seedCommitment(heat.seed, heat.salt);
+    // PvP heats race like duels: no house-edge drag, seeded photo-finish coin flip
+    recordFairness(heat.commit, {
+      mode: "tourney",
+      tierKey: t.tier.key,
+      houseEdge: 0,
+      streakMult: 0,
+      trackLen: t.trackLen,
+      streaks: {},
+      racers,
+      seededTies: true,
+    });
+    saveTourneys();
+  }
+
+  // a heat resumed after a restart replays with the inputs it was committed with
+  const rec = fairnessDB.races[heat.commit];
+  const edge = rec ? { houseEdge: rec.houseEdge, streakMult: rec.streakMult } : { houseEdge: 0, streakMult: 0 };
+  const sim = simulateColourRace(heat.seed, edge, new Map(), PARTY_COMMENTARY_CHANCE, t.trackLen, racers, {}, rec ? !!rec.seededTies : true);
+  const title = `${tourneyRoundName(t, roundIndex)}${t.rounds[roundIndex].heats.length > 1 ? ` • Heat ${heatIndex + 1}` : ""}`;
+  const lineup = racers.map((key) => `${COLOUR_BY_KEY.get(key).label} ${tag(colourOf.get(key))}`).join("\n");
+
+  const ch = await tourneyChannel(guild, t);
+  const msg = ch
+    ? await ch
+        .send({
+          embeds: [
+            new EmbedBuilder()
+              .setColor(COLOR_PRIMARY)
+              .setTitle(`🏁 ${BRAND} — TOURNAMENT ${t.id} • ${title}`)
+              .setDescription(
+                `${header("HEAT LINE-UP")}\n\n${lineup}\n\n🔒 **Fairness commit:** \`${heat.commit}\`\n${fairnessInputsText(heat.commit)}`
+              )
+              .setFooter({ text: FOOTER }),
+          ],
+        })
+        .catch(() => null)
+    : null;
+
+  await new Promise((resolve) => {
+    let tick = 0;
+    let lastFrameKey = "";
+    const interval = setInterval(async () => {
+      try {
+        if (tick >= sim.frames.length) return;
+        tick++;
+
+        const { racers: shown, places, commentary } = displayFrame(sim, tick - 1);
+        const rhibEmoji = getRhibEmoji(guild);
+        const lines = (places.length ? places : shown).map((r) => {
+          const badge = places.length ? placeBadge(r.place) : `(${pct(r.pos, t.trackLen)}%)`;
+          return `${renderLine(r, r.pos, badge, rhibEmoji, t.trackLen)} ${tag(colourOf.get(r.key))}`;
+        });
+
+        const frameKey = `${lines.join("|")}__${commentary || ""}`;
+        if (msg && frameKey !== lastFrameKey) {
+          lastFrameKey = frameKey;
+          await msg
+            .edit({
+              embeds: [
+                new EmbedBuilder()
+                  .setColor(places.length ? COLOR_ACCENT : COLOR_PRIMARY)
+                  .setTitle(`🏁 ${BRAND} — TOURNAMENT ${t.id} • ${title}`)
+                  .setDescription(
+                    `${header(places.length ? "HEAT COMPLETE" : "HEAT LIVE")}\n\n` +
+                      `🏁 **Track:**\n${lines.join("\n")}\n` +
+                      (commentary && !places.length ? `\n${commentary}` : "") +
+                      (places.length ? `\n${fairnessRevealText(heat.seed, heat.salt)}` : "")
+                  )
+                  .setFooter({ text: FOOTER }),
+              ],
+            })
+            .catch(() => {});
+        }
+
+        if (places.length) {
+          clearInterval(interval);
+          resolve();
+        }
+      } catch (e) {
+        // rendering only; the result below comes straight from the sim
+        console.log("Tournament heat render error:", e?.message || e);
+        clearInterval(interval);
+        resolve();
+      }
+    }, settings.tickMs);
+  });
+
+  const places = sim.places;
+  recordFairnessPlaces(heat.commit, places);
+
+  // entry fee + prize are booked once, on the first heat and the final
+  const isFinal = t.rounds[roundIndex].heats.length === 1;
+  for (const p of places) {
+    trackQuests(colourOf.get(p.key), { mode: "tourney", tierKey: t.tier.key, colourKey: p.key, place: p.place });
+    recordRaceHistory(colourOf.get(p.key), {
+      mode: "tourney",
+      tier: t.tier,
+      colourKey: p.key,
+      place: p.place,
+      field: places.length,
+      cost: roundIndex === 0 ? t.entryCost : 0,
+      payout: isFinal && p.place === 1 ? t.prize : 0,
+      payoutUnit: "kaos",
+      seed: heat.seed,
+      salt: heat.salt,
+      photoFinish: sim.photoFinish,
+    });
+  }
+  saveRaceHistory();
+
+  return places.map((p) => colourOf.get(p.key));
+}
+
+const runningTourneys = new Set(); // ids with a heat loop in this process
+
+// Plays every remaining heat, then crowns the champion. Safe to call again after a restart.
+async function runTourney(guild, t) {
+  if (runningTourneys.has(t.id)) return;
+  runningTourneys.add(t.id);
+  try {
+    for (;;) {
+      if (t.state !== "RUNNING") return;
+      const r = t.rounds.length - 1;
+      const round = t.rounds[r];
+      const h = round.heats.findIndex((x) => !x.results);
+
+      if (h !== -1) {
+        round.heats[h].results = await playTourneyHeat(guild, t, r, h);
+        saveTourneys();
+        await updateTourneyBracket(guild, t);
+        await new Promise((res) => setTimeout(res, TOURNEY_HEAT_GAP_MS));
+        continue;
+      }
+
+      if (round.heats.length === 1) {
+        await crownTourneyChampion(guild, t, round.heats[0].results[0]);
+        return;
+      }
+
+      const advancing = round.heats.flatMap((heat) => heat.results.slice(0, round.advance));
+      t.rounds.push(buildTourneyRound(advancing));
+      saveTourneys();
+      await updateTourneyBracket(guild, t);
+    }
+  } catch (e) {
+    console.log("Tournament error:", e?.message || e);
+  } finally {
+    runningTourneys.delete(t.id);
+  }
+}
+
+async function crownTourneyChampion(guild, t, championId) {
+  t.state = "DONE";
+  t.championId = championId;
+  t.finishedAt = Date.now();
+  saveTourneys();
+
+  if (t.prize > 0) PAYOUTS.enqueue(guild.id, championId, t.prize, "tourney");
+  const champ = getStats(championId);
+  champ.tourneyWins = (champ.tourneyWins || 0) + 1;
+  saveStats();
+  const got = evaluateAchievements(guild, championId, { mode: "tourney", place: 1, photoFinish: false });
+
+  await updateTourneyBracket(guild, t);
+  const ch = await tourneyChannel(guild, t);
+  if (ch) {
+    await ch
+      .send({
+        embeds: [
+          new EmbedBuilder()
+            .setColor(COLOR_PRIMARY)
+            .setTitle(`👑 ${BRAND} — TOURNAMENT ${t.id} CHAMPION`)
+            .setDescription(
+              `${header("CHAMPION CROWNED")}\n\n` +
+                `🏆 ${tag(championId)} wins the **${t.tier.label}** tournament!\n` +
+                `💰 Kaos payout queued: **${t.prize.toLocaleString()} ${CURRENCY_NAME}**` +
+                (got.length ? `\n🏅 Unlocked: ${got.map(achievementRewardText).join(", ")}` : "")
+            )
+            .setFooter({ text: FOOTER }),
+        ],
+      })
+      .catch(() => {});
+  }
+
+  await auditLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle(`🧾 Audit • TOURNAMENT ${t.id} • Season #${statsDB.meta.seasonNumber}`)
+      .addFields(
+        { name: "Champion", value: `${tag(championId)} (${championId})`, inline: true },
+        { name: "Entrants", value: `${t.entrants.length}`, inline: true },
+        { name: "Prize", value: `${t.prize.toLocaleString()} ${CURRENCY_NAME}`, inline: true },
+        {
+          name: "Heat seeds",
+          value: t.rounds.flatMap((round) => round.heats.map((heat) => `${heat.seed}:${heat.salt}`)).join("\n").slice(0, 1000),
+          inline: false,
+        }
+      )
+      .setFooter({ text: FOOTER })
+  );
+}
+
+async function cancelTourney(guild, t, reason) {
+  t.state = "CANCELLED";
+  for (const uid of t.entrants) adjustTokens(uid, t.entryCost, "tourney_refund", { note: `Tournament ${t.id}` });
+  saveTokens();
+  saveTourneys();
+  await updateTourneyBracket(guild, t);
+  await auditLog(
+    guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle(`🧹 Audit • TOURNAMENT ${t.id} cancelled`)
+      .setDescription(`${reason}\nRefunded ${t.entryCost} token(s) to ${t.entrants.length} entrant(s).`)
+      .setFooter({ text: FOOTER })
+  );
+}
+
+// Startup: carry on with tournaments that were mid-bracket
+async function resumeTourneys() {
+  for (const t of Object.values(tourneyDB.tourneys)) {
+    if (t.state !== "RUNNING") continue;
+    const guild = await client.guilds.fetch(t.guildId).catch(() => null);
+    if (guild) runTourney(guild, t);
+  }
+}
+
+async function handleTourneyCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+  const userId = interaction.user.id;
+  const isAdmin = interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator);
+  const t = openTourney(guildId);
+
+  if (sub === "create") {
+    if (!isAdmin) return interaction.reply({ content: "❌ Admin only.", ephemeral: true });
+    if (t) return interaction.reply({ content: `❌ Tournament \`${t.id}\` is still open.`, ephemeral: true });
+
+    const tier = playableTier(interaction.options.getString("tier", true));
+    if (!tier) return interaction.reply({ content: "❌ That tier isn't available right now.", ephemeral: true });
+
+    const created = {
+      id: crypto.randomBytes(3).toString("hex").toUpperCase(),
+      guildId,
+      channelId: settings.tourneyChannelId || interaction.channelId,
+      createdBy: userId,
+      createdAt: Date.now(),
+      tier: { ...tier },
+      trackLen: settings.trackLen,
+      entryCost: tier.tokenCost,
+      maxEntrants: interaction.options.getInteger("max_entrants", true),
+      prize: interaction.options.getInteger("prize") ?? tier.payouts[1] ?? 0,
+      state: "REGISTRATION",
+      entrants: [],
+      rounds: [],
+      bracketMessageId: null,
+      championId: null,
+    };
+    tourneyDB.tourneys[created.id] = created;
+    saveTourneys();
+
+    await interaction.reply({ content: `✅ Tournament \`${created.id}\` created.`, ephemeral: true });
+    const ch = await tourneyChannel(interaction.guild, created);
+    const ping = pingRoleText();
+    if (ch && ping) await ch.send({ content: `🏆 Tournament registration is open! ${ping}` }).catch(() => {});
+    await updateTourneyBracket(interaction.guild, created);
+    return;
+  }
+
+  if (!t) return interaction.reply({ content: "No tournament is open right now.", ephemeral: true });
+
+  if (sub === "bracket") {
+    return interaction.reply({ embeds: [tourneyEmbed(t)], ephemeral: true });
+  }
+
+  if (sub === "register") {
+    if (t.state !== "REGISTRATION") return interaction.reply({ content: "Registration is closed.", ephemeral: true });
+    if (t.entrants.includes(userId)) return interaction.reply({ content: "You're already registered.", ephemeral: true });
+    if (t.entrants.length >= t.maxEntrants) return interaction.reply({ content: "The tournament is full.", ephemeral: true });
+    if (getTok(userId).tokens < t.entryCost) {
+      return interaction.reply({ content: `❌ You need **${t.entryCost} token(s)** to register.`, ephemeral: true });
+    }
+
+    adjustTokens(userId, -t.entryCost, "tourney_entry", { note: `Tournament ${t.id}` });
+    saveTokens();
+    t.entrants.push(userId);
+    saveTourneys();
+    await interaction.reply({ content: `✅ Registered for tournament \`${t.id}\` (${t.entrants.length}/${t.maxEntrants}).`, ephemeral: true });
+    await updateTourneyBracket(interaction.guild, t);
+    return;
+  }
+
+  if (sub === "unregister") {
+    if (t.state !== "REGISTRATION") return interaction.reply({ content: "Registration is closed.", ephemeral: true });
+    if (!t.entrants.includes(userId)) return interaction.reply({ content: "You're not registered.", ephemeral: true });
+
+    t.entrants = t.entrants.filter((x) => x !== userId);
+    adjustTokens(userId, t.entryCost, "tourney_refund", { note: `Tournament ${t.id}` });
+    saveTokens();
+    saveTourneys();
+    await interaction.reply({ content: "✅ Unregistered — entry refunded.", ephemeral: true });
+    await updateTourneyBracket(interaction.guild, t);
+    return;
+  }
+
+  if (!isAdmin) return interaction.reply({ content: "❌ Admin only.", ephemeral: true });
+
+  if (sub === "start") {
+    if (t.state !== "REGISTRATION") return interaction.reply({ content: "Already running.", ephemeral: true });
+    if (settings.freezeRaces) return interaction.reply({ content: "🛠️ Races are frozen.", ephemeral: true });
+    if (t.entrants.length < 2) return interaction.reply({ content: "Need at least **2** entrants.", ephemeral: true });
+
+    t.state = "RUNNING";
+    t.rounds.push(buildTourneyRound(t.entrants));
+    saveTourneys();
+
+    await interaction.reply({ content: `🏁 Tournament \`${t.id}\` starting in <#${t.channelId}>.`, ephemeral: true });
+    const ch = await tourneyChannel(interaction.guild, t);
+    if (ch) {
+      await ch
+        .send({ content: `🏆 Tournament \`${t.id}\` is starting — ${t.entrants.length} racers! ${pingRoleText()}`.trim() })
+        .catch(() => {});
+    }
+    await updateTourneyBracket(interaction.guild, t);
+    runTourney(interaction.guild, t);
+    return;
+  }
+
+  if (sub === "cancel") {
+    if (t.state !== "REGISTRATION") {
+      return interaction.reply({ content: "Heats are already running — it can't be cancelled now.", ephemeral: true });
+    }
+    await cancelTourney(interaction.guild, t, `Cancelled by ${tag(userId)}.`);
+    return interaction.reply({ content: "🧹 Tournament cancelled and entries refunded.", ephemeral: true });
+  }
+}
+
+// ================== SCHEDULED RACE EVENTS ==================
+// /raceevent schedule: at each occurrence a hostless party lobby opens in the event channel
+// with a longer join window (settings.eventJoinWindowSec) and pings the Events signal role.
+// The same role gets a reminder 10 minutes ahead.
+const RACE_EVENTS_FILE = path.join(DATA_DIR, "raceevents.json");
+const RACE_EVENT_REMINDER_SEC = 10 * 60;
+const RACE_EVENT_TICK_MS = 60 * 1000;
+const RACE_EVENT_REPEAT_SEC = { daily: 24 * 3600, weekly: 7 * 24 * 3600 };
+const EVENTS_SIGNAL = SIGNALS.find((s) => s.key === "events");
+
+const raceEventsDB = loadJsonSafe(RACE_EVENTS_FILE, { events: {} });
+if (!raceEventsDB.events || typeof raceEventsDB.events !== "object") raceEventsDB.events = {};
+
+function saveRaceEvents() {
+  saveJson(RACE_EVENTS_FILE, raceEventsDB);
+}
+
+function eventsPingText() {
+  return EVENTS_SIGNAL?.roleId ? `<@&${EVENTS_SIGNAL.roleId}>` : "";
+}
+
+function raceEventLine(ev) {
+  const tier = settings.tiers[ev.tierKey];
+  const tierText = tier ? `${tier.emoji} ${tier.label}${tier.disabled ? " (disabled)" : ""}` : `\`${ev.tierKey}\` (missing)`;
+  return `\`${ev.id}\` • ${tierText} • ${ev.repeat} • <#${ev.channelId}> • next <t:${ev.nextAt}:F> (<t:${ev.nextAt}:R>)`;
+}
+
+// move nextAt past `now`, skipping occurrences the bot slept through
+function advanceRaceEvent(ev, now) {
+  const step = RACE_EVENT_REPEAT_SEC[ev.repeat] || RACE_EVENT_REPEAT_SEC.daily;
+  while (ev.nextAt <= now) ev.nextAt += step;
+  ev.reminded = false;
+}
+
+async function raceEventNotice(guild, title, text) {
+  await auditLog(
+    guild,
+    new EmbedBuilder().setColor(COLOR_NEUTRAL).setTitle(`📅 Audit • ${title}`).setDescription(text).setFooter({ text: FOOTER })
+  );
+}
+
+async function remindRaceEvent(guild, ev) {
+  const ch = await guild.channels.fetch(ev.channelId).catch(() => null);
+  if (!ch || !("send" in ch)) return;
+  const tier = settings.tiers[ev.tierKey];
+  await ch
+    .send({
+      content: eventsPingText() || undefined,
+      embeds: [
+        new EmbedBuilder()
+          .setColor(COLOR_ACCENT)
+          .setTitle(`📅 ${BRAND} — RACE EVENT IN 10 MINUTES`)
+          .setDescription(
+            `${header("SCHEDULED PARTY RACE")}\n\n` +
+              `${tier ? `${tier.emoji} **Tier:** ${tier.label} • Entry: **${tier.tokenCost} token(s)**\n` : ""}` +
+              `🏟️ Lobby opens <t:${ev.nextAt}:R> in this channel and stays open for **${Math.round(settings.eventJoinWindowSec / 60)} min**.`
+          )
+          .setFooter({ text: FOOTER }),
+      ],
+    })
+    .catch(() => {});
+}
+
+async function openRaceEventLobby(guild, ev) {
+  if (settings.freezeRaces) {
+    await raceEventNotice(guild, `Race event ${ev.id} skipped`, "Races are frozen.");
+    return;
+  }
+  const tier = playableTier(ev.tierKey);
+  if (!tier) {
+    await raceEventNotice(guild, `Race event ${ev.id} skipped`, `Tier \`${ev.tierKey}\` is missing or disabled.`);
+    return;
+  }
+  const busy = partyInChannel(guild.id, ev.channelId);
+  if (busy) {
+    await raceEventNotice(guild, `Race event ${ev.id} skipped`, `Lobby \`${busy.code}\` was still open in <#${ev.channelId}>.`);
+    return;
+  }
+  const ch = await guild.channels.fetch(ev.channelId).catch(() => null);
+  if (!ch || !("send" in ch)) {
+    await raceEventNotice(guild, `Race event ${ev.id} skipped`, `Channel <#${ev.channelId}> is unavailable.`);
+    return;
+  }
+
+  const party = makeParty(guild.id, null, ev.channelId, tier, false, settings.eventJoinWindowSec);
+  party.eventId = ev.id;
+
+  const msg = await ch
+    .send({
+      content: `📅 Scheduled race event — lobby \`${party.code}\` is open! ${eventsPingText()}`.trim(),
+      embeds: [partyLobbyEmbed(party)],
+      components: [partyLobbyRow(party)],
+    })
+    .catch(() => null);
+  if (!msg) return;
+
+  party.messageId = msg.id;
+  partiesByCode.set(party.code, party);
+  armPartyAutoStart(guild, party);
+
+  ev.lastLobbyCode = party.code;
+  saveRaceEvents();
+}
+
+async function raceEventTick() {
+  for (const ev of Object.values(raceEventsDB.events)) {
+    const guild = await client.guilds.fetch(ev.guildId).catch(() => null);
+    if (!guild) continue;
+    const now = nowSec();
+
+    if (!ev.reminded && ev.nextAt > now && ev.nextAt - now <= RACE_EVENT_REMINDER_SEC) {
+      ev.reminded = true;
+      saveRaceEvents();
+      await remindRaceEvent(guild, ev);
+    }
+
+    if (now < ev.nextAt) continue;
+
+    // an occurrence missed by more than its join window (bot offline) is skipped
+    const late = now - ev.nextAt;
+    advanceRaceEvent(ev, now);
+    saveRaceEvents();
+    if (late > settings.eventJoinWindowSec) {
+      await raceEventNotice(guild, `Race event ${ev.id} skipped`, `Missed by ${Math.round(late / 60)} min (bot offline).`);
+      continue;
+    }
+    await openRaceEventLobby(guild, ev);
+  }
+}
+
+let raceEventHandle = null;
+function startRaceEventTicker() {
+  if (!raceEventHandle) raceEventHandle = setInterval(() => raceEventTick().catch(() => {}), RACE_EVENT_TICK_MS);
+  raceEventTick().catch(() => {});
+}
+
+async function handleRaceEventCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const guildId = interaction.guildId;
+  const isAdmin = interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator);
+
+  if (sub === "list") {
+    const events = Object.values(raceEventsDB.events)
+      .filter((ev) => ev.guildId === guildId)
+      .sort((a, b) => a.nextAt - b.nextAt);
+    if (!events.length) return interaction.reply({ content: "No race events scheduled.", ephemeral: true });
+    return interaction.reply({
+      content: `📅 **Scheduled race events**\n${events.map(raceEventLine).join("\n")}`.slice(0, 1900),
+      ephemeral: true,
+    });
+  }
+
+  if (!isAdmin) return interaction.reply({ content: "❌ Admin only.", ephemeral: true });
+
+  if (sub === "schedule") {
+    const startAt = parseUtcToUnix(interaction.options.getString("start_utc", true));
+    if (!startAt) return interaction.reply({ content: "❌ Format must be: `YYYY-MM-DD HH:MM` (UTC)", ephemeral: true });
+
+    const tierKey = interaction.options.getString("tier", true);
+    if (!playableTier(tierKey)) return interaction.reply({ content: "❌ That tier isn't available right now.", ephemeral: true });
+
+    const ev = {
+      id: crypto.randomBytes(3).toString("hex").toUpperCase(),
+      guildId,
+      channelId: interaction.options.getChannel("channel")?.id || interaction.channelId,
+      tierKey,
+      repeat: interaction.options.getString("repeat", true),
+      nextAt: startAt,
+      reminded: false,
+      lastLobbyCode: null,
+      createdBy: interaction.user.id,
+      createdAt: nowSec(),
+    };
+    // a start time in the past rolls forward to the next occurrence
+    if (ev.nextAt <= nowSec()) advanceRaceEvent(ev, nowSec());
+
+    raceEventsDB.events[ev.id] = ev;
+    saveRaceEvents();
+    await raceEventNotice(interaction.guild, `Race event ${ev.id} scheduled`, `${raceEventLine(ev)}\nBy: ${tag(interaction.user.id)}`);
+    return interaction.reply({ content: `✅ Race event scheduled:\n${raceEventLine(ev)}`, ephemeral: true });
+  }
+
+  if (sub === "remove") {
+    const id = interaction.options.getString("id", true).trim().toUpperCase();
+    const ev = raceEventsDB.events[id];
+    if (!ev || ev.guildId !== guildId) return interaction.reply({ content: `❌ No race event \`${id}\`.`, ephemeral: true });
+
+    delete raceEventsDB.events[id];
+    saveRaceEvents();
+    await raceEventNotice(interaction.guild, `Race event ${id} removed`, `${raceEventLine(ev)}\nBy: ${tag(interaction.user.id)}`);
+    return interaction.reply({ content: `🗑️ Race event \`${id}\` removed. Lobbies already open are unaffected.`, ephemeral: true });
+  }
+}
+
+// ================== SHOP ==================
+// Token sink: admins keep a catalog (/shopadmin), players buy with /shop buy.
+// Item types: timed cosmetic role, giveaway bonus entry, custom boat emoji, Kaos conversion.
+// Timed roles are tracked in roleGrants and removed by the shop sweeper when they expire.
+const SHOP_FILE = path.join(DATA_DIR, "shop.json");
+const SHOP_SWEEP_MS = 60 * 1000;
+
+const SHOP_TYPES = {
+  role: { label: "Timed role", emoji: "🎭" },
+  giveaway_entry: { label: "Giveaway bonus entry", emoji: "🎁" },
+  boat_emoji: { label: "Custom boat emoji", emoji: "🚤" },
+  kaos: { label: `${CURRENCY_NAME} conversion`, emoji: "💰" },
+};
+
+const shopDB = loadJsonSafe(SHOP_FILE, { items: {}, roleGrants: [], purchases: {} });
+if (!shopDB.items || typeof shopDB.items !== "object") shopDB.items = {};
+if (!Array.isArray(shopDB.roleGrants)) shopDB.roleGrants = [];
+if (!shopDB.purchases || typeof shopDB.purchases !== "object") shopDB.purchases = {};
+
+function saveShop() {
+  saveJson(SHOP_FILE, shopDB);
+}
+
+function shopPurchaseCount(itemId, userId) {
+  return shopDB.purchases[itemId]?.[userId] || 0;
+}
+
+function shopItemReward(item) {
+  if (item.type === "role") return `<@&${item.roleId}>${item.durationHours ? ` for ${item.durationHours}h` : " (permanent)"}`;
+  if (item.type === "giveaway_entry") return item.giveawayId ? `+1 entry in giveaway \`${item.giveawayId}\`` : "+1 entry in your live giveaway";
+  if (item.type === "boat_emoji") return `${item.emoji} boat skin`;
+  if (item.type === "kaos") return `${item.kaosAmount.toLocaleString()} ${CURRENCY_NAME}`;
+  return "?";
+}
+
+// A kaos item can't pay out more points than its tokens cost through /tokens buy, or buying
+// tokens and cashing them back would mint points. Checked again at buy time for price changes.
+function kaosItemOverpays(item) {
+  return item.type === "kaos" && item.kaosAmount > item.price * settings.pointsPerToken;
+}
+
+function kaosItemOverpaysText(item) {
+  return (
+    `❌ ${item.price} token(s) cost **${(item.price * settings.pointsPerToken).toLocaleString()}** Kaos points — ` +
+    `\`kaos_amount\` can't be more than that.`
+  );
+}
+
+function shopItemLine(item) {
+  const t = SHOP_TYPES[item.type];
+  const limit = item.maxPerUser ? ` • max ${item.maxPerUser}/user` : "";
+  return (
+    `${t.emoji} **${item.name}** \`${item.id}\` — **${item.price} token(s)**${item.enabled ? "" : " • ⛔ disabled"}\n` +
+    `↳ ${shopItemReward(item)}${limit}${item.description ? ` • ${item.description}` : ""}`
+  );
+}
+
+// Delivers a paid item. Returns the success text; throws with a user-facing message on failure.
+async function deliverShopItem(guild, userId, item) {
+  if (item.type === "role") {
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member) throw new Error("Couldn't find you in this server.");
+    const hadRole = member.roles.cache.has(item.roleId);
+    await member.roles.add(item.roleId, `Shop: ${item.name}`).catch(() => {
+      throw new Error("I couldn't give that role — ask staff to check my role position.");
+    });
+    const isGrant = (x) => x.userId === userId && x.roleId === item.roleId && x.guildId === guild.id;
+    if (!item.durationHours) {
+      // a permanent copy outlives any timed grant of the same role
+      shopDB.roleGrants = shopDB.roleGrants.filter((x) => !isGrant(x));
+      return `🎭 <@&${item.roleId}> is yours.`;
+    }
+
+    // buying again while it's active extends the current grant
+    const active = shopDB.roleGrants.find(isGrant);
+    const from = active ? Math.max(active.expiresAt, nowSec()) : nowSec();
+    const expiresAt = from + item.durationHours * 3600;
+    if (active) active.expiresAt = expiresAt;
+    // added: false = they already held the role (staff, another reward…), so expiry leaves it alone
+    else shopDB.roleGrants.push({ userId, guildId: guild.id, roleId: item.roleId, itemId: item.id, expiresAt, added: !hadRole });
+    return `🎭 <@&${item.roleId}> until <t:${expiresAt}:f> (<t:${expiresAt}:R>).`;
+  }
+
+  if (item.type === "giveaway_entry") {
+    const res = GIVEAWAYS.addBonusEntry(userId, item.giveawayId || null);
+    if (res.error) throw new Error(res.error);
+    return `🎁 Bonus entry added to **${res.giveaway.prize}** — you now hold **${res.tickets}** ticket(s).`;
+  }
+
+  if (item.type === "boat_emoji") {
+    const g = getGarage(userId);
+    g.customBoat = item.emoji;
+    g.boat = "custom";
+    saveGarage();
+    return `🚤 ${item.emoji} boat skin equipped (swap with \`/garage boat\`).`;
+  }
+
+  if (item.type === "kaos") {
+    const e = PAYOUTS.enqueue(guild.id, userId, item.kaosAmount, "shop");
+    return `💰 Kaos payout queued: **${item.kaosAmount.toLocaleString()} ${CURRENCY_NAME}** (\`${e.id}\`).`;
+  }
+
+  throw new Error("Unknown item type.");
+}
+
+async function buyShopItem(interaction, item) {
+  const userId = interaction.user.id;
+  if (!item || !item.enabled) return "❌ That item isn't for sale.";
+  if (kaosItemOverpays(item)) return "❌ That item isn't for sale until staff reprice it.";
+  if (item.maxPerUser && shopPurchaseCount(item.id, userId) >= item.maxPerUser) {
+    return `❌ You've already bought **${item.name}** the maximum ${item.maxPerUser} time(s).`;
+  }
+  if (getTok(userId).tokens < item.price) return `❌ **${item.name}** costs **${item.price} token(s)**.`;
+
+  // charge first so a double click can't deliver twice; refund if delivery fails
+  adjustTokens(userId, -item.price, "shop_purchase", { note: item.name });
+  saveTokens();
+
+  let result;
+  try {
+    result = await deliverShopItem(interaction.guild, userId, item);
+  } catch (e) {
+    adjustTokens(userId, item.price, "shop_refund", { note: item.name });
+    saveTokens();
+    return `❌ ${e?.message || e} Your ${item.price} token(s) were refunded.`;
+  }
+
+  if (!shopDB.purchases[item.id]) shopDB.purchases[item.id] = {};
+  shopDB.purchases[item.id][userId] = shopPurchaseCount(item.id, userId) + 1;
+  saveShop();
+
+  await auditLog(
+    interaction.guild,
+    new EmbedBuilder()
+      .setColor(COLOR_NEUTRAL)
+      .setTitle("🛒 Audit • Shop purchase")
+      .addFields(
+        { name: "Buyer", value: `${tag(userId)} (${userId})`, inline: false },
+        { name: "Item", value: `${item.name} (\`${item.id}\`)`, inline: true },
+        { name: "Price", value: `${item.price} token(s)`, inline: true },
+        { name: "Reward", value: shopItemReward(item), inline: false }
+      )
+      .setFooter({ text: FOOTER })
+  );
+
+  return `✅ Bought **${item.name}** for ${item.price} token(s). ${result}\n🎟️ Tokens left: **${getTok(userId).tokens}**`;
+}
 
-      if (places.length && !party.finalized) {
-        party.finalized = true;
-        clearInterval(interval);
+// Timed roles: remove when expired, but only where the shop added the role
+// (a role removed by hand just drops the grant)
+async function sweepShopRoles() {
+  const now = nowSec();
+  const due = shopDB.roleGrants.filter((x) => x.expiresAt <= now);
+  if (!due.length) return;
+
+  for (const grant of due) {
+    const guild = await client.guilds.fetch(grant.guildId).catch(() => null);
+    const member = guild ? await guild.members.fetch(grant.userId).catch(() => null) : null;
+    // grants from before `added` was tracked were always shop-added
+    const shopAdded = grant.added !== false;
+    if (member && shopAdded) await member.roles.remove(grant.roleId, "Shop role expired").catch(() => {});
+    if (guild) {
+      await auditLog(
+        guild,
+        new EmbedBuilder()
+          .setColor(COLOR_NEUTRAL)
+          .setTitle("⌛ Audit • Shop role expired")
+          .setDescription(
+            `${tag(grant.userId)} • <@&${grant.roleId}> (item \`${grant.itemId}\`)${shopAdded ? "" : "\nRole kept: they held it before buying."}`
+          )
+          .setFooter({ text: FOOTER })
+      );
+    }
+  }
+  shopDB.roleGrants = shopDB.roleGrants.filter((x) => !due.includes(x));
+  saveShop();
+}
 
-        const photoFinish = places[0].finishTick === places[1].finishTick;
-        const placeByKey = new Map(places.map((p) => [p.key, p.place]));
+let shopSweepHandle = null;
+function startShopSweeper() {
+  if (!shopSweepHandle) shopSweepHandle = setInterval(() => sweepShopRoles().catch(() => {}), SHOP_SWEEP_MS);
+  sweepShopRoles().catch(() => {});
+}
 
-        const placementSummary = [];
-        const payoutSummary = [];
-        const auditPayoutLines = [];
-        const awardedLines = [];
+async function handleShopAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== "item") return false;
 
-        for (const [uid, p] of party.players.entries()) {
-          const truePlace = placeByKey.get(p.colourKey);
-          const amount = tier.payouts[truePlace] || 0;
-          const c = COLOUR_BY_KEY.get(p.colourKey);
-          const s = getStats(uid);
+  const includeDisabled = interaction.commandName === "shopadmin";
+  const q = String(focused.value || "").toLowerCase();
+  const choices = Object.values(shopDB.items)
+    .filter((x) => includeDisabled || x.enabled)
+    .filter((x) => !q || x.id.includes(q) || x.name.toLowerCase().includes(q))
+    .slice(0, 25)
+    .map((x) => ({ name: `${SHOP_TYPES[x.type].emoji} ${x.name} • ${x.price} token(s)${x.enabled ? "" : " (disabled)"}`, value: x.id }));
 
-          if (truePlace === 1) {
-            s.winStreak = (s.winStreak || 0) + 1;
-            s.bestWinStreak = Math.max(s.bestWinStreak || 0, s.winStreak);
-          } else {
-            s.winStreak = 0;
-          }
+  await interaction.respond(choices).catch(() => {});
+  return true;
+}
 
-          s.bestFinish = Math.min(s.bestFinish, truePlace);
-          if (truePlace === 1) s.wins += 1;
-          if (truePlace <= 3) s.podiums += 1;
-          s.totalWon += amount;
+async function handleShopCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
 
-          // achievements
-          const got = [];
-          if (s.races === 1) {
-            const a = awardAchievement(uid, ACH.FIRST_RACE.key);
-            if (a) got.push(a);
-          }
-          if (truePlace === 1) {
-            const a = awardAchievement(uid, ACH.FIRST_WIN.key);
-            if (a) got.push(a);
-            const b = awardAchievement(uid, ACH.PARTY_WIN.key);
-            if (b) got.push(b);
-          }
-          if (photoFinish) {
-            const a = awardAchievement(uid, ACH.PHOTO_FINISH.key);
-            if (a) got.push(a);
-          }
-          if ((s.winStreak || 0) >= 3) {
-            const a = awardAchievement(uid, ACH.STREAK_3.key);
-            if (a) got.push(a);
-          }
-          if ((s.podiums || 0) >= 5) {
-            const a = awardAchievement(uid, ACH.PODIUM_5.key);
-            if (a) got.push(a);
-          }
+  if (sub === "list") {
+    const items = Object.values(shopDB.items).filter((x) => x.enabled);
+    return interaction.reply({
+      embeds: [
+        new EmbedBuilder()
+          .setColor(COLOR_ACCENT)
+          .setTitle(`🛒 ${BRAND} — TOKEN SHOP`)
+          .setDescription(
+            `${header("SPEND YOUR TOKENS")}\n\n` +
+              (items.length ? items.map(shopItemLine).join("\n\n") : "`The shop is empty right now.`") +
+              `\n\n🎟️ Your tokens: **${getTok(interaction.user.id).tokens}** • Buy with \`/shop buy item:<item>\``
+          )
+          .setFooter({ text: FOOTER }),
+      ],
+      ephemeral: true,
+    });
+  }
 
-          if (got.length) {
-            awardedLines.push(
-              `${c.label} ${tag(uid)}: ${got
-                .map((a) => `**${a.name}** (+${a.tokens} ${a.tokens === 1 ? "token" : "tokens"})`)
-                .join(", ")}`
-            );
-          }
+  if (sub === "buy") {
+    const item = shopDB.items[interaction.options.getString("item", true).trim().toLowerCase()];
+    await interaction.deferReply({ ephemeral: true });
+    return interaction.editReply({ content: await buyShopItem(interaction, item) });
+  }
+}
 
-          if (amount > 0 && !settings.freezePayouts) {
-            await enqueuePayout(guild, uid, amount);
-          }
+async function handleShopAdminCommand(interaction) {
+  const isAdmin = interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator);
+  if (!isAdmin) return interaction.reply({ content: "❌ Admin only.", ephemeral: true });
 
-          placementSummary.push(`${placeBadge(truePlace)} ${c.label} ${tag(uid)}`);
-          payoutSummary.push(`${c.label} ${tag(uid)} → **${amount.toLocaleString()} ${CURRENCY_NAME}**`);
-          auditPayoutLines.push(`${uid}:${amount}`);
-        }
+  const sub = interaction.options.getSubcommand();
 
-        saveStats();
+  if (sub === "list") {
+    const items = Object.values(shopDB.items);
+    return interaction.reply({
+      content: (items.length ? items.map(shopItemLine).join("\n\n") : "No shop items yet. Add one with `/shopadmin add`.").slice(0, 1900),
+      ephemeral: true,
+    });
+  }
 
-        const endEmbed = new EmbedBuilder()
-          .setColor(COLOR_ACCENT)
-          .setTitle(`🏆 ${BRAND} — PARTY RESULTS`)
-          .setDescription(
-            `${header("RACE COMPLETE")}\n\n` +
-              `${tier.emoji} **Tier:** ${tier.label}\n` +
-              (photoFinish ? `📸 **PHOTO FINISH!** VAR called.\n\n` : "\n") +
-              `**Placements:**\n${placementSummary.join("\n")}\n\n` +
-              `**Payouts (Kaos queued):**\n${payoutSummary.join("\n")}\n` +
-              (awardedLines.length ? `\n🏅 **Achievements:**\n${awardedLines.join("\n")}\n` : "\n") +
-              `Create a new lobby with \`/raceparty create\`.`
-          )
-          .setFooter({ text: FOOTER });
+  const id = interaction.options.getString("item", true).trim().toLowerCase();
+  const opt = {
+    name: interaction.options.getString("name"),
+    price: interaction.options.getInteger("price"),
+    description: interaction.options.getString("description"),
+    roleId: interaction.options.getRole("role")?.id ?? null,
+    durationHours: interaction.options.getInteger("duration_hours"),
+    emoji: interaction.options.getString("emoji"),
+    kaosAmount: interaction.options.getInteger("kaos_amount"),
+    giveawayId: interaction.options.getString("giveaway_id"),
+    maxPerUser: interaction.options.getInteger("max_per_user"),
+  };
 
-        if (lobbyMsg) await lobbyMsg.edit({ embeds: [endEmbed] }).catch(() => {});
+  // type-specific fields every item of that type needs
+  const missingField = (item) => {
+    if (item.type === "role" && !item.roleId) return "`role`";
+    if (item.type === "boat_emoji" && !item.emoji) return "`emoji`";
+    if (item.type === "kaos" && !item.kaosAmount) return "`kaos_amount`";
+    return null;
+  };
 
-        await auditLog(
-          guild,
-          new EmbedBuilder()
-            .setColor(COLOR_NEUTRAL)
-            .setTitle(`🧾 Audit • PARTY • Season #${statsDB.meta.seasonNumber}`)
-            .addFields(
-              { name: "Tier", value: `${tier.emoji} ${tier.label} (cost ${tier.tokenCost})`, inline: true },
-              { name: "Host", value: `${tag(party.hostId)} (${party.hostId})`, inline: true },
-              { name: "Players", value: `${party.players.size}`, inline: true },
-              { name: "Seed", value: `${seed}`, inline: true },
-              {
-                name: "Payouts",
-                value: settings.freezePayouts ? "FROZEN" : auditPayoutLines.join("\n") || "None",
-                inline: false,
-              }
-            )
-            .setFooter({ text: FOOTER })
-        );
+  const audit = (title, item) =>
+    auditLog(
+      interaction.guild,
+      new EmbedBuilder()
+        .setColor(COLOR_NEUTRAL)
+        .setTitle(`🛒 Audit • ${title}`)
+        .setDescription(`${shopItemLine(item)}\nBy: ${tag(interaction.user.id)}`)
+        .setFooter({ text: FOOTER })
+    );
 
-        partyByGuild.delete(guild.id);
-      }
-    } catch (e) {
-      party.finalized = true;
-      clearInterval(interval);
-      partyByGuild.delete(guild.id);
-      console.log("Party race error:", e?.message || e);
+  if (sub === "add") {
+    if (!/^[a-z0-9_-]{2,24}$/.test(id)) {
+      return interaction.reply({ content: "❌ Item ID must be 2–24 chars: a-z, 0-9, _ or -", ephemeral: true });
     }
-  }, TICK_MS);
+    if (shopDB.items[id]) return interaction.reply({ content: `❌ Item \`${id}\` already exists — use \`/shopadmin edit\`.`, ephemeral: true });
+
+    const item = {
+      id,
+      type: interaction.options.getString("type", true),
+      name: opt.name.trim(),
+      price: opt.price,
+      description: opt.description?.trim() || "",
+      roleId: opt.roleId,
+      durationHours: opt.durationHours ?? 0,
+      emoji: opt.emoji?.trim() || null,
+      kaosAmount: opt.kaosAmount ?? 0,
+      giveawayId: opt.giveawayId?.trim() || null,
+      maxPerUser: opt.maxPerUser ?? 0,
+      enabled: true,
+      createdBy: interaction.user.id,
+      createdAt: Date.now(),
+    };
+    const missing = missingField(item);
+    if (missing) return interaction.reply({ content: `❌ ${SHOP_TYPES[item.type].label} items need ${missing}.`, ephemeral: true });
+    if (kaosItemOverpays(item)) return interaction.reply({ content: kaosItemOverpaysText(item), ephemeral: true });
+
+    shopDB.items[id] = item;
+    saveShop();
+    await audit("Shop item added", item);
+    return interaction.reply({ content: `✅ Added:\n${shopItemLine(item)}`, ephemeral: true });
+  }
+
+  const item = shopDB.items[id];
+  if (!item) return interaction.reply({ content: `❌ No shop item \`${id}\`.`, ephemeral: true });
+
+  if (sub === "edit") {
+    const next = { ...item };
+    if (opt.name !== null) next.name = opt.name.trim();
+    if (opt.price !== null) next.price = opt.price;
+    if (opt.description !== null) next.description = opt.description.trim();
+    if (opt.roleId !== null) next.roleId = opt.roleId;
+    if (opt.durationHours !== null) next.durationHours = opt.durationHours;
+    if (opt.emoji !== null) next.emoji = opt.emoji.trim();
+    if (opt.kaosAmount !== null) next.kaosAmount = opt.kaosAmount;
+    if (opt.giveawayId !== null) next.giveawayId = opt.giveawayId.trim() || null;
+    if (opt.maxPerUser !== null) next.maxPerUser = opt.maxPerUser;
+    const enabled = interaction.options.getBoolean("enabled");
+    if (enabled !== null) next.enabled = enabled;
+
+    const missing = missingField(next);
+    if (missing) return interaction.reply({ content: `❌ ${SHOP_TYPES[next.type].label} items need ${missing}.`, ephemeral: true });
+    if (kaosItemOverpays(next)) return interaction.reply({ content: kaosItemOverpaysText(next), ephemeral: true });
+
+    shopDB.items[id] = next;
+    saveShop();
+    await audit("Shop item edited", next);
+    return interaction.reply({ content: `✅ Updated:\n${shopItemLine(next)}`, ephemeral: true });
+  }
+
+  if (sub === "remove") {
+    delete shopDB.items[id];
+    saveShop();
+    await audit("Shop item removed", item);
+    return interaction.reply({ content: `🗑️ Removed \`${id}\`. Timed roles already sold still expire on schedule.`, ephemeral: true });
+  }
 }
+
 // ================== LEADERBOARDS ==================
-function topBy(field, limit = 10) {
-  const arr = Object.entries(statsDB.users).map(([uid, s]) => ({ uid, ...s }));
+function topBy(field, limit = 10, users = statsDB.users) {
+  const arr = Object.entries(users).map(([uid, s]) => ({ uid, ...s }));
   arr.sort((a, b) => (b[field] || 0) - (a[field] || 0));
   return arr.slice(0, limit);
 }
@@ -1244,29 +4560,112 @@ function formatTop(arr, field, label) {
 
 /* ================== COMMANDS ================== */
 const colourChoices = COLOURS.map((c) => ({ name: `${c.name} ${c.label}`, value: c.key }));
-const tierChoices = [
-  { name: `${TIERS.low.emoji} Low`, value: "low" },
-  { name: `${TIERS.standard.emoji} Standard`, value: "standard" },
-  { name: `${TIERS.high.emoji} High`, value: "high" },
-];
+
+// Tier options autocomplete from settings.tiers, so tier edits show up without a redeploy
+async function handleTierAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== "tier") return false;
+
+  // admin + history lookups also offer disabled tiers
+  const includeDisabled = interaction.commandName === "raceadmin" || interaction.commandName === "racehistory";
+  const q = String(focused.value || "").toLowerCase();
+  const choices = Object.values(settings.tiers)
+    .filter((t) => includeDisabled || !t.disabled)
+    .filter((t) => !q || t.key.includes(q) || t.label.toLowerCase().includes(q))
+    .slice(0, 25)
+    .map((t) => ({
+      name: `${t.emoji} ${t.label} • ${t.tokenCost} token(s)${t.disabled ? " (disabled)" : ""}`,
+      value: t.key,
+    }));
+
+  await interaction.respond(choices).catch(() => {});
+  return true;
+}
+
+async function handleLobbyAutocomplete(interaction) {
+  const focused = interaction.options.getFocused(true);
+  if (focused.name !== "lobby") return false;
+
+  const q = String(focused.value || "").toUpperCase();
+  const choices = guildParties(interaction.guildId)
+    .filter((p) => p.state === "LOBBY" && (!q || p.code.includes(q)))
+    .slice(0, 25)
+    .map((p) => ({
+      name: `${p.code} • ${p.tier.emoji} ${p.tier.label} • ${p.players.size}/5${p.ranked ? " • ranked" : ""}`,
+      value: p.code,
+    }));
+
+  await interaction.respond(choices).catch(() => {});
+  return true;
+}
+
+// Optional per-type fields shared by /shopadmin add + edit
+function shopItemOptions(sc) {
+  return sc
+    .addStringOption((o) => o.setName("description").setDescription("Short description").setRequired(false).setMaxLength(120))
+    .addRoleOption((o) => o.setName("role").setDescription("Timed role: role to grant").setRequired(false))
+    .addIntegerOption((o) =>
+      o.setName("duration_hours").setDescription("Timed role: hours until removed (0 = permanent)").setRequired(false).setMinValue(0).setMaxValue(8760)
+    )
+    .addStringOption((o) => o.setName("emoji").setDescription("Boat emoji: the emoji to race as").setRequired(false).setMaxLength(64))
+    .addIntegerOption((o) =>
+      o.setName("kaos_amount").setDescription(`Kaos conversion: ${CURRENCY_NAME} paid out`).setRequired(false).setMinValue(1).setMaxValue(100000000)
+    )
+    .addStringOption((o) => o.setName("giveaway_id").setDescription("Giveaway entry: giveaway ID (default: the live one)").setRequired(false))
+    .addIntegerOption((o) => o.setName("max_per_user").setDescription("Purchase limit per user (0 = no limit)").setRequired(false).setMinValue(0).setMaxValue(1000));
+}
+
+function payoutOptions(sc, required) {
+  for (const place of [1, 2, 3, 4, 5]) {
+    sc.addIntegerOption((o) =>
+      o
+        .setName(`p${place}`)
+        .setDescription(`Payout for place ${place} (${CURRENCY_NAME})`)
+        .setRequired(required)
+        .setMinValue(0)
+        .setMaxValue(100000000)
+    );
+  }
+  return sc;
+}
 
 const commandsDef = [
   new SlashCommandBuilder()
     .setName("race")
-    .setDescription("Solo RHIB race (pick a colour + tier).")
-    .addStringOption((o) =>
-      o
-        .setName("colour")
-        .setDescription("Pick your colour")
-        .setRequired(true)
-        .addChoices(...colourChoices)
+    .setDescription("Solo RHIB racing")
+    .addSubcommand((sc) =>
+      sc
+        .setName("play")
+        .setDescription("Solo RHIB race (pick a colour + tier).")
+        .addStringOption((o) =>
+          o
+            .setName("colour")
+            .setDescription("Pick your colour")
+            .setRequired(true)
+            .addChoices(...colourChoices)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("tier")
+            .setDescription("Risk tier")
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
     )
-    .addStringOption((o) =>
-      o
-        .setName("tier")
-        .setDescription("Risk tier")
-        .setRequired(true)
-        .addChoices(...tierChoices)
+    .addSubcommand((sc) =>
+      sc
+        .setName("verify")
+        .setDescription("Replay a finished race from its revealed seed + salt")
+        .addIntegerOption((o) => o.setName("seed").setDescription("Revealed seed").setRequired(true).setMinValue(1))
+        .addStringOption((o) => o.setName("salt").setDescription("Revealed salt").setRequired(true))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("duel")
+        .setDescription("Challenge someone to a 1v1 token wager race")
+        .addUserOption((o) => o.setName("user").setDescription("Who to challenge").setRequired(true))
+        .addStringOption((o) => o.setName("tier").setDescription("Tier (its token cost is the minimum wager)").setRequired(true).setAutocomplete(true))
+        .addIntegerOption((o) => o.setName("wager").setDescription("Tokens each racer puts in").setRequired(true).setMinValue(1).setMaxValue(1000))
     ),
 
   new SlashCommandBuilder()
@@ -1276,30 +4675,225 @@ const commandsDef = [
       sc
         .setName("create")
         .setDescription("Create a party lobby (auto-start in 60 seconds)")
-        .addStringOption((o) => o.setName("tier").setDescription("Risk tier").setRequired(true).addChoices(...tierChoices))
+        .addStringOption((o) => o.setName("tier").setDescription("Risk tier").setRequired(true).setAutocomplete(true))
         .addStringOption((o) => o.setName("colour").setDescription("Host colour").setRequired(true).addChoices(...colourChoices))
+        .addBooleanOption((o) => o.setName("ranked").setDescription("Only players near your party rating can join").setRequired(false))
     )
     .addSubcommand((sc) =>
       sc
         .setName("join")
-        .setDescription("Join the party (unique colour)")
+        .setDescription("Join a party (unique colour)")
         .addStringOption((o) => o.setName("colour").setDescription("Pick your colour").setRequired(true).addChoices(...colourChoices))
+        .addStringOption((o) =>
+          o.setName("lobby").setDescription("Lobby code (default: this channel's lobby)").setRequired(false).setAutocomplete(true)
+        )
+    )
+    .addSubcommand((sc) => sc.setName("leave").setDescription("Leave your current party"))
+    .addSubcommand((sc) => sc.setName("start").setDescription("Start your party race now (host only)"))
+    .addSubcommand((sc) => sc.setName("cancel").setDescription("Cancel your party lobby (host; admins for event lobbies)"))
+    .addSubcommand((sc) => sc.setName("list").setDescription("Show open party lobbies")),
+
+  new SlashCommandBuilder()
+    .setName("racetourney")
+    .setDescription("RHIB tournaments (heats of 5, top finishers advance)")
+    .addSubcommand((sc) =>
+      sc
+        .setName("create")
+        .setDescription("Open tournament registration (admin)")
+        .addStringOption((o) => o.setName("tier").setDescription("Tier (entry = its token cost)").setRequired(true).setAutocomplete(true))
+        .addIntegerOption((o) => o.setName("max_entrants").setDescription("Max entrants").setRequired(true).setMinValue(2).setMaxValue(25))
+        .addIntegerOption((o) => o.setName("prize").setDescription(`Champion ${CURRENCY_NAME} (default: tier 1st-place payout)`).setRequired(false).setMinValue(0))
+    )
+    .addSubcommand((sc) => sc.setName("register").setDescription("Register for the open tournament"))
+    .addSubcommand((sc) => sc.setName("unregister").setDescription("Leave the tournament before it starts (refund)"))
+    .addSubcommand((sc) => sc.setName("bracket").setDescription("Show the current bracket"))
+    .addSubcommand((sc) => sc.setName("start").setDescription("Close registration and run the heats (admin)"))
+    .addSubcommand((sc) => sc.setName("cancel").setDescription("Cancel before heats start and refund entries (admin)")),
+
+  new SlashCommandBuilder()
+    .setName("raceevent")
+    .setDescription("Scheduled party races (auto-opened lobbies)")
+    .addSubcommand((sc) =>
+      sc
+        .setName("schedule")
+        .setDescription("Schedule a repeating race event (admin)")
+        .addStringOption((o) => o.setName("start_utc").setDescription('First start: "YYYY-MM-DD HH:MM" (UTC)').setRequired(true))
+        .addStringOption((o) => o.setName("tier").setDescription("Tier").setRequired(true).setAutocomplete(true))
+        .addStringOption((o) =>
+          o
+            .setName("repeat")
+            .setDescription("How often")
+            .setRequired(true)
+            .addChoices({ name: "Daily", value: "daily" }, { name: "Weekly", value: "weekly" })
+        )
+        .addChannelOption((o) => o.setName("channel").setDescription("Lobby channel (default: this one)").setRequired(false))
     )
-    .addSubcommand((sc) => sc.setName("leave").setDescription("Leave the current party"))
-    .addSubcommand((sc) => sc.setName("start").setDescription("Start the party race now (host only)"))
-    .addSubcommand((sc) => sc.setName("cancel").setDescription("Cancel the party lobby (host only)")),
+    .addSubcommand((sc) => sc.setName("list").setDescription("Show scheduled race events"))
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove")
+        .setDescription("Remove a scheduled race event (admin)")
+        .addStringOption((o) => o.setName("id").setDescription("Event ID from /raceevent list").setRequired(true))
+    ),
 
   new SlashCommandBuilder().setName("racehelp").setDescription("How RHIB Racing works"),
   new SlashCommandBuilder().setName("balance").setDescription("Check your token balance"),
-  new SlashCommandBuilder().setName("racestats").setDescription("Your racing stats"),
-  new SlashCommandBuilder().setName("top").setDescription("Top 10 by total winnings"),
-  new SlashCommandBuilder().setName("topwins").setDescription("Top 10 by wins"),
+  new SlashCommandBuilder()
+    .setName("racestats")
+    .setDescription("Your racing stats")
+    .addIntegerOption((o) => o.setName("season").setDescription("Past season number").setRequired(false).setMinValue(1)),
+  new SlashCommandBuilder()
+    .setName("garage")
+    .setDescription("Boat upgrades + skins")
+    .addSubcommand((sc) =>
+      sc
+        .setName("view")
+        .setDescription("Show a garage")
+        .addUserOption((o) => o.setName("user").setDescription("Racer (default: you)").setRequired(false))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("upgrade")
+        .setDescription("Buy the next level of a boat part")
+        .addStringOption((o) =>
+          o
+            .setName("part")
+            .setDescription("Part")
+            .setRequired(true)
+            .addChoices(...Object.entries(GARAGE_PARTS).map(([value, p]) => ({ name: `${p.emoji} ${p.label} — ${p.desc}`, value })))
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("boat")
+        .setDescription("Buy or equip a boat skin")
+        .addStringOption((o) =>
+          o
+            .setName("skin")
+            .setDescription("Skin")
+            .setRequired(true)
+            .addChoices(
+              { name: "Stock", value: "stock" },
+              { name: "Shop boat (bought in /shop)", value: "custom" },
+              ...Object.entries(BOAT_SKINS).map(([value, sk]) => ({ name: `${sk.emoji} ${sk.label} (${sk.price} tokens)`, value }))
+            )
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("trail")
+        .setDescription("Buy or equip a trail skin")
+        .addStringOption((o) =>
+          o
+            .setName("skin")
+            .setDescription("Skin")
+            .setRequired(true)
+            .addChoices(
+              { name: "None", value: "stock" },
+              ...Object.entries(TRAIL_SKINS).map(([value, sk]) => ({ name: `${sk.emoji} ${sk.label} (${sk.price} tokens)`, value }))
+            )
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("shop")
+    .setDescription("Spend race tokens on roles, giveaway entries, boat emojis and more")
+    .addSubcommand((sc) => sc.setName("list").setDescription("Show what's for sale"))
+    .addSubcommand((sc) =>
+      sc
+        .setName("buy")
+        .setDescription("Buy an item")
+        .addStringOption((o) => o.setName("item").setDescription("Item").setRequired(true).setAutocomplete(true))
+    ),
+  new SlashCommandBuilder()
+    .setName("shopadmin")
+    .setDescription("Admin: manage the token shop")
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .addSubcommand((sc) =>
+      shopItemOptions(
+        sc
+          .setName("add")
+          .setDescription("Add a shop item")
+          .addStringOption((o) => o.setName("item").setDescription("Item ID (a-z, 0-9, _ -)").setRequired(true).setMaxLength(24))
+          .addStringOption((o) =>
+            o
+              .setName("type")
+              .setDescription("What the buyer gets")
+              .setRequired(true)
+              .addChoices(...Object.entries(SHOP_TYPES).map(([value, t]) => ({ name: `${t.emoji} ${t.label}`, value })))
+          )
+          .addStringOption((o) => o.setName("name").setDescription("Display name").setRequired(true).setMaxLength(60))
+          .addIntegerOption((o) => o.setName("price").setDescription("Price in tokens").setRequired(true).setMinValue(1).setMaxValue(1000))
+      )
+    )
+    .addSubcommand((sc) =>
+      shopItemOptions(
+        sc
+          .setName("edit")
+          .setDescription("Edit a shop item (only the options you set change)")
+          .addStringOption((o) => o.setName("item").setDescription("Item").setRequired(true).setAutocomplete(true))
+          .addStringOption((o) => o.setName("name").setDescription("Display name").setRequired(false).setMaxLength(60))
+          .addIntegerOption((o) => o.setName("price").setDescription("Price in tokens").setRequired(false).setMinValue(1).setMaxValue(1000))
+      ).addBooleanOption((o) => o.setName("enabled").setDescription("For sale?").setRequired(false))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove")
+        .setDescription("Remove a shop item")
+        .addStringOption((o) => o.setName("item").setDescription("Item").setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand((sc) => sc.setName("list").setDescription("Show every item, including disabled ones")),
+  new SlashCommandBuilder().setName("quests").setDescription("This week's race quests, your progress and time left"),
+  new SlashCommandBuilder()
+    .setName("racehistory")
+    .setDescription("Your recent races (or another racer's) with replay seeds")
+    .addUserOption((o) => o.setName("user").setDescription("Racer (default: you)").setRequired(false))
+    .addIntegerOption((o) => o.setName("page").setDescription("Page").setRequired(false).setMinValue(1))
+    .addStringOption((o) => o.setName("tier").setDescription("Only this tier").setRequired(false).setAutocomplete(true))
+    .addStringOption((o) =>
+      o
+        .setName("mode")
+        .setDescription("Only this mode")
+        .setRequired(false)
+        .addChoices(...Object.entries(RACE_MODE_LABELS).map(([value, name]) => ({ name, value })))
+    ),
+  new SlashCommandBuilder()
+    .setName("top")
+    .setDescription("Top 10 by total winnings (or wins / party rating)")
+    .addIntegerOption((o) => o.setName("season").setDescription("Past season number").setRequired(false).setMinValue(1))
+    .addStringOption((o) =>
+      o
+        .setName("field")
+        .setDescription("Leaderboard to show (default: winnings)")
+        .setRequired(false)
+        .addChoices(
+          { name: "Winnings", value: "winnings" },
+          { name: "Wins", value: "wins" },
+          { name: "Party rating", value: "rating" }
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("topwins")
+    .setDescription("Top 10 by wins")
+    .addIntegerOption((o) => o.setName("season").setDescription("Past season number").setRequired(false).setMinValue(1)),
+  new SlashCommandBuilder().setName("halloffame").setDescription("Past season champions"),
 
   new SlashCommandBuilder()
     .setName("tokens")
     .setDescription("Token system for RHIB Racing")
     .addSubcommand((sc) => sc.setName("balance").setDescription("Check your token balance"))
-    .addSubcommand((sc) => sc.setName("daily").setDescription("Claim your daily free token"))
+    .addSubcommand((sc) => sc.setName("daily").setDescription("Claim your daily tokens (streaks pay more)"))
+    .addSubcommand((sc) =>
+      sc
+        .setName("daily-remind")
+        .setDescription("DM me before my daily streak runs out")
+        .addBooleanOption((o) => o.setName("enabled").setDescription("Reminders on/off").setRequired(true))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("buy")
+        .setDescription("Buy race tokens with Kaos points")
+        .addIntegerOption((o) => o.setName("amount").setDescription("Tokens to buy").setRequired(true).setMinValue(1).setMaxValue(100))
+    )
     .addSubcommand((sc) =>
       sc
         .setName("transfer")
@@ -1320,6 +4914,19 @@ const commandsDef = [
         .setDescription("Give tokens to everyone (admin)")
         .addIntegerOption((o) => o.setName("amount").setDescription("Amount each").setRequired(true).setMinValue(1).setMaxValue(50))
     )
+    .addSubcommand((sc) =>
+      sc
+        .setName("history")
+        .setDescription("Your token history")
+        .addIntegerOption((o) => o.setName("page").setDescription("Page").setRequired(false).setMinValue(1))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("audit")
+        .setDescription("Token history for a user (admin)")
+        .addUserOption((o) => o.setName("user").setDescription("User").setRequired(true))
+        .addIntegerOption((o) => o.setName("page").setDescription("Page").setRequired(false).setMinValue(1))
+    )
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 
   new SlashCommandBuilder()
@@ -1331,6 +4938,210 @@ const commandsDef = [
     .addSubcommand((sc) => sc.setName("freeze-payouts-off").setDescription("Unfreeze Kaos payouts (admin)"))
     .addSubcommand((sc) => sc.setName("season-reset").setDescription("Reset season stats now (admin)"))
     .addSubcommand((sc) => sc.setName("season-info").setDescription("Show current season info (admin)"))
+    .addSubcommand((sc) =>
+      sc
+        .setName("cooldowns")
+        .setDescription("Inspect or clear a user's race cooldowns (admin)")
+        .addUserOption((o) => o.setName("user").setDescription("User").setRequired(true))
+        .addBooleanOption((o) => o.setName("clear").setDescription("Clear their solo + party cooldowns").setRequired(false))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("season-rewards")
+        .setDescription("View or change end-of-season rewards (admin)")
+        .addBooleanOption((o) => o.setName("enabled").setDescription("Pay rewards at season end").setRequired(false))
+        .addIntegerOption((o) => o.setName("top_n").setDescription("How many places per board").setRequired(false).setMinValue(1).setMaxValue(10))
+        .addStringOption((o) => o.setName("tokens").setDescription("Tokens by rank, e.g. 10,5,3").setRequired(false))
+        .addStringOption((o) => o.setName("kaos_points").setDescription(`${CURRENCY_NAME} by rank, e.g. 5000000,2000000,1000000`).setRequired(false))
+        .addRoleOption((o) => o.setName("champion_role").setDescription("Role for each board's #1 during the next season").setRequired(false))
+        .addChannelOption((o) => o.setName("recap_channel").setDescription("Where the season recap is posted").setRequired(false))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("reconcile")
+        .setDescription("Sent payouts Kaos never confirmed, with resend buttons (admin)")
+        .addIntegerOption((o) =>
+          o.setName("minutes").setDescription("Unconfirmed for at least this long (default 30)").setRequired(false).setMinValue(1).setMaxValue(10080)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("rtp-report")
+        .setDescription("Simulate seeded races and report return-to-player (admin)")
+        .addStringOption((o) => o.setName("tier").setDescription("Risk tier").setRequired(true).setAutocomplete(true))
+        .addIntegerOption((o) => o.setName("runs").setDescription("Races per win-streak row (default 5000)").setRequired(false).setMinValue(100).setMaxValue(10000))
+        .addIntegerOption((o) => o.setName("engine").setDescription("Engine level on the bet boat").setRequired(false).setMinValue(0).setMaxValue(MAX_UPGRADE_LEVEL))
+        .addIntegerOption((o) => o.setName("hull").setDescription("Hull level on the bet boat").setRequired(false).setMinValue(0).setMaxValue(MAX_UPGRADE_LEVEL))
+        .addIntegerOption((o) => o.setName("nitro").setDescription("Nitro level on the bet boat").setRequired(false).setMinValue(0).setMaxValue(MAX_UPGRADE_LEVEL))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("config")
+        .setDescription("View or change track, tick, cooldown + daily token settings (admin)")
+        .addIntegerOption((o) => o.setName("track_len").setDescription("Track length in waves").setRequired(false).setMinValue(8).setMaxValue(30))
+        .addIntegerOption((o) => o.setName("tick_ms").setDescription("Milliseconds per race tick").setRequired(false).setMinValue(800).setMaxValue(5000))
+        .addIntegerOption((o) => o.setName("solo_cooldown").setDescription("Solo cooldown (seconds)").setRequired(false).setMinValue(0).setMaxValue(3600))
+        .addIntegerOption((o) => o.setName("party_cooldown").setDescription("Party cooldown (seconds)").setRequired(false).setMinValue(0).setMaxValue(3600))
+        .addIntegerOption((o) => o.setName("daily_tokens").setDescription("Tokens per /tokens daily").setRequired(false).setMinValue(0).setMaxValue(50))
+        .addIntegerOption((o) => o.setName("daily_grace").setDescription("Hours late a daily claim still keeps the streak").setRequired(false).setMinValue(0).setMaxValue(24))
+        .addIntegerOption((o) => o.setName("daily_streak_step").setDescription("Extra daily tokens every 2 streak days").setRequired(false).setMinValue(0).setMaxValue(10))
+        .addIntegerOption((o) => o.setName("quests_per_week").setDescription("Quests drawn each week (from next week)").setRequired(false).setMinValue(1).setMaxValue(10))
+        .addIntegerOption((o) => o.setName("daily_week_bonus").setDescription("Bonus tokens on streak day 7").setRequired(false).setMinValue(0).setMaxValue(50))
+        .addIntegerOption((o) => o.setName("ranked_band").setDescription("Ranked lobby rating band (± points)").setRequired(false).setMinValue(25).setMaxValue(1000))
+        .addIntegerOption((o) => o.setName("duel_rake").setDescription("Duel rake (% of pot)").setRequired(false).setMinValue(0).setMaxValue(50))
+        .addChannelOption((o) => o.setName("tourney_channel").setDescription("Channel for tournament heats + bracket").setRequired(false))
+        .addIntegerOption((o) => o.setName("event_window").setDescription("Scheduled event join window (seconds)").setRequired(false).setMinValue(60).setMaxValue(3600))
+        .addIntegerOption((o) => o.setName("points_per_token").setDescription("Kaos points per token for /tokens buy").setRequired(false).setMinValue(1).setMaxValue(100000000))
+        .addIntegerOption((o) => o.setName("kaos_timeout").setDescription("Seconds to wait for a Kaos reply").setRequired(false).setMinValue(15).setMaxValue(900))
+        .addUserOption((o) => o.setName("kaos_bot").setDescription("Bot whose replies count as Kaos (e.g. a test stand-in)").setRequired(false))
+        .addStringOption((o) => o.setName("kaos_add_pattern").setDescription("Regex for a Kaos reply confirming an ADD (\"default\" resets)").setRequired(false).setMaxLength(300))
+        .addStringOption((o) => o.setName("kaos_remove_pattern").setDescription("Regex for a Kaos reply confirming a REMOVE (\"default\" resets)").setRequired(false).setMaxLength(300))
+        .addStringOption((o) => o.setName("kaos_fail_pattern").setDescription("Regex for a Kaos failure reply (\"default\" resets)").setRequired(false).setMaxLength(300))
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("tier")
+        .setDescription("Manage race tiers (admin)")
+        .addSubcommand((sc) =>
+          payoutOptions(
+            sc
+              .setName("create")
+              .setDescription("Create a race tier (admin)")
+              .addStringOption((o) => o.setName("key").setDescription("Short id, e.g. highroller").setRequired(true).setMaxLength(20))
+              .addStringOption((o) => o.setName("label").setDescription("Display name").setRequired(true).setMaxLength(40))
+              .addStringOption((o) => o.setName("emoji").setDescription("Tier emoji").setRequired(true).setMaxLength(64))
+              .addIntegerOption((o) => o.setName("cost").setDescription("Token cost").setRequired(true).setMinValue(1).setMaxValue(100)),
+            true
+          )
+            .addNumberOption((o) => o.setName("house_edge").setDescription("House-edge strength (Standard 0.7, High 1.0)").setRequired(false).setMinValue(0).setMaxValue(2))
+            .addNumberOption((o) => o.setName("streak_mult").setDescription("Win-streak penalty multiplier (default 1.0)").setRequired(false).setMinValue(0).setMaxValue(3))
+        )
+        .addSubcommand((sc) =>
+          payoutOptions(
+            sc
+              .setName("edit")
+              .setDescription("Edit a race tier (admin)")
+              .addStringOption((o) => o.setName("tier").setDescription("Tier").setRequired(true).setAutocomplete(true))
+              .addStringOption((o) => o.setName("label").setDescription("Display name").setRequired(false).setMaxLength(40))
+              .addStringOption((o) => o.setName("emoji").setDescription("Tier emoji").setRequired(false).setMaxLength(64))
+              .addIntegerOption((o) => o.setName("cost").setDescription("Token cost").setRequired(false).setMinValue(1).setMaxValue(100)),
+            false
+          )
+            .addNumberOption((o) => o.setName("house_edge").setDescription("House-edge strength").setRequired(false).setMinValue(0).setMaxValue(2))
+            .addNumberOption((o) => o.setName("streak_mult").setDescription("Win-streak penalty multiplier").setRequired(false).setMinValue(0).setMaxValue(3))
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("disable")
+            .setDescription("Disable a race tier (admin)")
+            .addStringOption((o) => o.setName("tier").setDescription("Tier").setRequired(true).setAutocomplete(true))
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("enable")
+            .setDescription("Re-enable a race tier (admin)")
+            .addStringOption((o) => o.setName("tier").setDescription("Tier").setRequired(true).setAutocomplete(true))
+        )
+        .addSubcommand((sc) => sc.setName("list").setDescription("List race tiers (admin)"))
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("payouts")
+        .setDescription("Kaos payout ledger (admin)")
+        .addSubcommand((sc) =>
+          sc
+            .setName("list")
+            .setDescription("List ledger entries (admin)")
+            .addStringOption((o) =>
+              o
+                .setName("status")
+                .setDescription("Filter by status")
+                .setRequired(false)
+                .addChoices(...["pending", "sent", "failed", "frozen", "void"].map((x) => ({ name: x, value: x })))
+            )
+            .addIntegerOption((o) => o.setName("page").setDescription("Page").setRequired(false).setMinValue(1))
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("retry")
+            .setDescription("Retry a failed / frozen payout now (admin)")
+            .addStringOption((o) => o.setName("id").setDescription("Payout ID").setRequired(true))
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("void")
+            .setDescription("Void a payout so it is never sent (admin)")
+            .addStringOption((o) => o.setName("id").setDescription("Payout ID").setRequired(true))
+        )
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("quest")
+        .setDescription("Weekly quest pool (admin)")
+        .addSubcommand((sc) =>
+          sc
+            .setName("add")
+            .setDescription("Add or replace a quest in the pool (admin)")
+            .addStringOption((o) => o.setName("key").setDescription("Short id, e.g. win_blue").setRequired(true).setMaxLength(30))
+            .addStringOption((o) => o.setName("label").setDescription("Shown to players, e.g. Win with Blue").setRequired(true).setMaxLength(80))
+            .addIntegerOption((o) => o.setName("count").setDescription("Matching races needed").setRequired(true).setMinValue(1).setMaxValue(100))
+            .addIntegerOption((o) => o.setName("tokens").setDescription("Token reward").setRequired(true).setMinValue(0).setMaxValue(100))
+            .addStringOption((o) =>
+              o
+                .setName("mode")
+                .setDescription("Only this race mode")
+                .setRequired(false)
+                .addChoices(...Object.entries(RACE_MODE_LABELS).map(([value, name]) => ({ name, value })))
+            )
+            .addStringOption((o) => o.setName("tier").setDescription("Only this tier").setRequired(false).setAutocomplete(true))
+            .addStringOption((o) => o.setName("colour").setDescription("Only this boat colour").setRequired(false).addChoices(...colourChoices))
+            .addIntegerOption((o) => o.setName("max_place").setDescription("Finish this place or better (1 = win)").setRequired(false).setMinValue(1).setMaxValue(5))
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("remove")
+            .setDescription("Remove a quest from the pool (admin)")
+            .addStringOption((o) => o.setName("key").setDescription("Quest key").setRequired(true))
+        )
+        .addSubcommand((sc) => sc.setName("list").setDescription("Show the pool and this week's quests (admin)"))
+    )
+    .addSubcommandGroup((g) =>
+      g
+        .setName("achievement")
+        .setDescription("Custom achievements (admin)")
+        .addSubcommand((sc) =>
+          sc
+            .setName("add")
+            .setDescription("Add or replace a custom achievement (admin)")
+            .addStringOption((o) => o.setName("key").setDescription("Short id, e.g. s5_grinder").setRequired(true).setMaxLength(30))
+            .addStringOption((o) => o.setName("name").setDescription("Display name").setRequired(true).setMaxLength(40))
+            .addStringOption((o) =>
+              o
+                .setName("stat")
+                .setDescription("Stat that must reach the threshold")
+                .setRequired(false)
+                .addChoices(...Object.entries(ACH_STATS).map(([value, name]) => ({ name, value })))
+            )
+            .addIntegerOption((o) => o.setName("threshold").setDescription("Value the stat must reach").setRequired(false).setMinValue(1))
+            .addStringOption((o) =>
+              o
+                .setName("predicate")
+                .setDescription("Condition on the race just finished")
+                .setRequired(false)
+                .addChoices(...Object.entries(ACH_PREDICATES).map(([value, p]) => ({ name: p.label, value })))
+            )
+            .addIntegerOption((o) => o.setName("tokens").setDescription("Token reward").setRequired(false).setMinValue(0).setMaxValue(100))
+            .addRoleOption((o) => o.setName("role").setDescription("Role reward").setRequired(false))
+            .addBooleanOption((o) => o.setName("seasonal").setDescription("Only unlockable this season").setRequired(false))
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("remove")
+            .setDescription("Remove a custom achievement (admin)")
+            .addStringOption((o) => o.setName("key").setDescription("Achievement key").setRequired(true))
+        )
+        .addSubcommand((sc) => sc.setName("list").setDescription("List achievements (admin)"))
+    )
     .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
 ];
 
@@ -1399,10 +5210,21 @@ async function deployCommandsServerOnly() {
 
 client.once("ready", async () => {
   ensureDataFiles();
+  resumeSeasonRewards();
   seasonCheckAndResetIfNeeded();
   console.log(`✅ Online as ${client.user.tag}`);
   console.log(`Season #${statsDB.meta.seasonNumber} started: ${new Date(statsDB.meta.seasonStart).toISOString()}`);
   ONBOARDING.register();
+  PAYOUTS.onReady();
+  KAOS.onReady();
+  recoverRaces()
+    .catch((e) => console.error("Race recovery error:", e?.message || e))
+    .finally(startRaceSweeper);
+  recoverDuels();
+  resumeTourneys().catch((e) => console.error("Tournament resume error:", e?.message || e));
+  startRaceEventTicker();
+  startShopSweeper();
+  startDailyReminders();
   WIPEMAP.onReady();
   GIVEAWAYS.onReady();
 
@@ -1417,8 +5239,19 @@ client.once("ready", async () => {
   }
 });
 
+// Kaos replies for the bridge (only delivered with KAOS_BRIDGE=true intents)
+client.on("messageCreate", (message) => {
+  KAOS.handleMessage(message).catch((e) => console.error("Kaos reply error:", e?.message || e));
+});
+
 client.on("interactionCreate", async (interaction) => {
   try {
+    if (interaction.isAutocomplete()) {
+      if (await handleTierAutocomplete(interaction)) return;
+      if (!(await handleShopAutocomplete(interaction))) await handleLobbyAutocomplete(interaction);
+      return;
+    }
+
     if (await WIPEMAP.handleInteraction(interaction)) return;
 
     const handledByMapVote = await MAPVOTE.handleInteraction(interaction);
@@ -1449,6 +5282,11 @@ client.on("interactionCreate", async (interaction) => {
     const handledByTickets = await TICKETS.handleInteraction(interaction);
     if (handledByTickets) return;
 
+    // ✅ Party lobby buttons + colour picker, duel accept/decline, payout resend
+    if (await handlePartyComponent(interaction)) return;
+    if (await handleDuelComponent(interaction)) return;
+    if (await handlePayoutComponent(interaction)) return;
+
     if (!interaction.isChatInputCommand()) return;
 
     // permission sanity check for visible commands
@@ -1478,66 +5316,243 @@ client.on("interactionCreate", async (interaction) => {
     if (interaction.commandName === "balance") {
       const me = getTok(interaction.user.id);
       return interaction.reply({
-        content: `🎟️ **Race Tokens:** ${me.tokens}\n💰 **${CURRENCY_NAME}:** Managed by Kaos (this bot only triggers payouts).`,
+        content:
+          `🎟️ **Race Tokens:** ${me.tokens}\n${dailyStreakText(me)}\n` +
+          `💰 **${CURRENCY_NAME}:** Managed by Kaos (this bot only triggers payouts).`,
+        ephemeral: true,
+      });
+    }
+
+    if (interaction.commandName === "garage") {
+      return handleGarageCommand(interaction);
+    }
+
+    if (interaction.commandName === "quests") {
+      return interaction.reply({ embeds: [questsEmbed(interaction.user.id)], ephemeral: true });
+    }
+
+    if (interaction.commandName === "shop") {
+      return handleShopCommand(interaction);
+    }
+
+    if (interaction.commandName === "shopadmin") {
+      return handleShopAdminCommand(interaction);
+    }
+
+    if (interaction.commandName === "racehistory") {
+      const user = interaction.options.getUser("user") || interaction.user;
+      const tierKey = interaction.options.getString("tier");
+      const mode = interaction.options.getString("mode");
+      const all = (historyDB.users[user.id] || []).filter(
+        (e) => (!tierKey || e.tierKey === tierKey) && (!mode || e.mode === mode)
+      );
+
+      const filters = [mode ? RACE_MODE_LABELS[mode] : "", tierKey ? settings.tiers[tierKey]?.label || tierKey : ""]
+        .filter(Boolean)
+        .join(" • ");
+      if (!all.length) {
+        return interaction.reply({
+          content: `No races recorded for ${tag(user.id)}${filters ? ` (${filters})` : ""}.`,
+          ephemeral: true,
+        });
+      }
+
+      const pages = Math.ceil(all.length / RACE_HISTORY_PAGE_SIZE);
+      const page = Math.min(interaction.options.getInteger("page") || 1, pages);
+      const start = (page - 1) * RACE_HISTORY_PAGE_SIZE;
+      const rows = all.slice(start, start + RACE_HISTORY_PAGE_SIZE).map((e, i) => raceHistoryLine(e, start + i + 1));
+
+      return interaction.reply({
+        embeds: [
+          new EmbedBuilder()
+            .setColor(COLOR_NEUTRAL)
+            .setTitle(`📜 ${BRAND} — Race History`)
+            .setDescription(
+              `${header(`${user.username || "RACER"}${filters ? ` • ${filters}` : ""}`)}\n\n${rows.join("\n\n")}`.slice(0, 4000)
+            )
+            .setFooter({ text: `${FOOTER} • page ${page}/${pages} • ${all.length} race(s)` }),
+        ],
         ephemeral: true,
       });
     }
 
     if (interaction.commandName === "racestats") {
       seasonCheckAndResetIfNeeded();
-      const s = getStats(interaction.user.id);
+      const season = interaction.options.getInteger("season") || statsDB.meta.seasonNumber;
+      const live = season === statsDB.meta.seasonNumber;
+      const users = seasonUsers(season);
+      if (!users) return interaction.reply({ content: `❌ No archive for season #${season}.`, ephemeral: true });
+
+      const s = live ? getStats(interaction.user.id) : users[interaction.user.id];
+      if (!s) return interaction.reply({ content: `You didn't race in season #${season}.`, ephemeral: true });
       const best = s.bestFinish === 99 ? "—" : `#${s.bestFinish}`;
 
+      const fields = [
+        { name: "Races", value: `**${s.races}**`, inline: true },
+        { name: "Wins", value: `**${s.wins}**`, inline: true },
+        { name: "Podiums", value: `**${s.podiums}**`, inline: true },
+        { name: "Best Finish", value: `**${best}**`, inline: true },
+        { name: "Win Streak", value: `**${s.winStreak || 0}** (best ${s.bestWinStreak || 0})`, inline: true },
+        { name: `Total Won (${CURRENCY_NAME})`, value: `**${s.totalWon.toLocaleString()}**`, inline: true },
+        {
+          name: "Party Rating",
+          value: s.ratedRaces ? `**${ratingOf(s)}** (${s.ratedRaces} rated)` : "`Unrated`",
+          inline: true,
+        },
+      ];
+      if (live) {
+        const tok = getTok(interaction.user.id);
+        fields.push({ name: "Tokens", value: `**${tok.tokens}**`, inline: true });
+        fields.push({ name: "Daily Streak", value: `**${dailyStreakNow(tok)}** (best ${tok.dailyBest || 0})`, inline: true });
+      }
+      fields.push({ name: "Achievements", value: achievementsSummary(s), inline: false });
+      if (live) fields.push({ name: "Progress", value: achievementProgressText(s), inline: false });
+
+      return interaction.reply({
+        embeds: [
+          new EmbedBuilder()
+            .setColor(COLOR_NEUTRAL)
+            .setTitle(`📊 ${BRAND} — Your Stats (Season #${season}${live ? "" : " • archived"})`)
+            .addFields(...fields)
+            .setFooter({ text: FOOTER }),
+        ],
+        ephemeral: true,
+      });
+    }
+
+    if (interaction.commandName === "top" || interaction.commandName === "topwins") {
+      seasonCheckAndResetIfNeeded();
+      const season = interaction.options.getInteger("season") || statsDB.meta.seasonNumber;
+      const users = seasonUsers(season);
+      if (!users) return interaction.reply({ content: `❌ No archive for season #${season}.`, ephemeral: true });
+
+      const field = interaction.commandName === "topwins" ? "wins" : interaction.options.getString("field") || "winnings";
+
+      if (field === "rating") {
+        // unrated players would all sit on the starting rating
+        const ratedUsers = Object.fromEntries(Object.entries(users).filter(([, s]) => (s.ratedRaces || 0) > 0));
+        return interaction.reply({
+          embeds: [
+            new EmbedBuilder()
+              .setColor(COLOR_NEUTRAL)
+              .setTitle(`⭐ ${BRAND} — Top Party Rating (Season #${season})`)
+              .setDescription(formatTop(topBy("rating", 10, ratedUsers), "rating", "rating"))
+              .setFooter({ text: FOOTER }),
+          ],
+        });
+      }
+
+      const byWins = field === "wins";
+      const top = byWins ? topBy("wins", 10, users) : topBy("totalWon", 10, users);
       return interaction.reply({
         embeds: [
           new EmbedBuilder()
-            .setColor(COLOR_NEUTRAL)
-            .setTitle(`📊 ${BRAND} — Your Stats (Season #${statsDB.meta.seasonNumber})`)
-            .addFields(
-              { name: "Races", value: `**${s.races}**`, inline: true },
-              { name: "Wins", value: `**${s.wins}**`, inline: true },
-              { name: "Podiums", value: `**${s.podiums}**`, inline: true },
-              { name: "Best Finish", value: `**${best}**`, inline: true },
-              { name: "Win Streak", value: `**${s.winStreak || 0}** (best ${s.bestWinStreak || 0})`, inline: true },
-              { name: `Total Won (${CURRENCY_NAME})`, value: `**${s.totalWon.toLocaleString()}**`, inline: true },
-              { name: "Tokens", value: `**${getTok(interaction.user.id).tokens}**`, inline: true },
-              { name: "Achievements", value: achievementsSummary(interaction.user.id), inline: false }
+            .setColor(byWins ? COLOR_PRIMARY : COLOR_ACCENT)
+            .setTitle(
+              byWins
+                ? `🥇 ${BRAND} — Top Wins (Season #${season})`
+                : `🏆 ${BRAND} — Top Winnings (Season #${season})`
             )
+            .setDescription(byWins ? formatTop(top, "wins", "wins") : formatTop(top, "totalWon", CURRENCY_NAME))
             .setFooter({ text: FOOTER }),
         ],
-        ephemeral: true,
       });
     }
 
-    if (interaction.commandName === "top") {
+    if (interaction.commandName === "halloffame") {
       seasonCheckAndResetIfNeeded();
-      const top = topBy("totalWon", 10);
-      return interaction.reply({
-        embeds: [
-          new EmbedBuilder()
-            .setColor(COLOR_ACCENT)
-            .setTitle(`🏆 ${BRAND} — Top Winnings (Season #${statsDB.meta.seasonNumber})`)
-            .setDescription(formatTop(top, "totalWon", CURRENCY_NAME))
-            .setFooter({ text: FOOTER }),
-        ],
+      const past = seasonsDB.seasons.slice().sort((a, b) => b.seasonNumber - a.seasonNumber).slice(0, 15);
+      const lines = past.map((x) => {
+        const money = x.topWinnings[0];
+        const wins = x.topWins[0];
+        return (
+          `**Season #${x.seasonNumber}** • <t:${Math.floor(x.end / 1000)}:d> • ${x.players} racers, ${x.totalRaces} races\n` +
+          `💰 ${money ? `${tag(money.uid)} — ${money.totalWon.toLocaleString()} ${CURRENCY_NAME}` : "—"}\n` +
+          `🥇 ${wins ? `${tag(wins.uid)} — ${wins.wins} wins` : "—"}`
+        );
       });
-    }
 
-    if (interaction.commandName === "topwins") {
-      seasonCheckAndResetIfNeeded();
-      const top = topBy("wins", 10);
       return interaction.reply({
         embeds: [
           new EmbedBuilder()
-            .setColor(COLOR_PRIMARY)
-            .setTitle(`🥇 ${BRAND} — Top Wins (Season #${statsDB.meta.seasonNumber})`)
-            .setDescription(formatTop(top, "wins", "wins"))
+            .setColor(COLOR_ACCENT)
+            .setTitle(`🏛️ ${BRAND} — Hall of Fame`)
+            .setDescription(lines.join("\n\n") || "`No finished seasons yet.`")
             .setFooter({ text: FOOTER }),
         ],
       });
     }
 
     if (interaction.commandName === "race") {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "verify") {
+        const seed = interaction.options.getInteger("seed", true);
+        const salt = interaction.options.getString("salt", true).trim();
+        const commit = seedCommitment(seed, salt);
+        const rec = fairnessDB.races[commit];
+
+        if (!rec) {
+          return interaction.reply({
+            content: `❌ No recorded race matches that seed + salt.\nCommit: \`${commit}\``,
+            ephemeral: true,
+          });
+        }
+
+        // replay with the edge values recorded at launch (tiers may have been edited since)
+        const tier = settings.tiers[rec.tierKey] || DEFAULT_TIERS[rec.tierKey] || { label: rec.tierKey, emoji: "🎚️" };
+        const edge = {
+          houseEdge: rec.houseEdge ?? DEFAULT_TIERS[rec.tierKey]?.houseEdge ?? 0.7,
+          streakMult: rec.streakMult ?? DEFAULT_TIERS[rec.tierKey]?.streakMult ?? 1,
+        };
+        const streakByColour = new Map(Object.entries(rec.streaks || {}));
+        const chance = rec.mode === "party" || rec.mode === "tourney" ? PARTY_COMMENTARY_CHANCE : SOLO_COMMENTARY_CHANCE;
+        const sim = simulateColourRace(
+          seed,
+          edge,
+          streakByColour,
+          chance,
+          rec.trackLen || 18,
+          rec.racers || undefined,
+          rec.mods || {},
+          !!rec.seededTies
+        );
+        const { places } = displayFrame(sim, sim.frames.length - 1);
+
+        const order = places.map((p) => `${placeBadge(p.place)} ${p.label}`).join("\n");
+        let verdict = "⏳ Race has not finished yet — nothing recorded to compare against.";
+        if (Array.isArray(rec.places)) {
+          const same = rec.places.join(",") === places.map((p) => p.key).join(",");
+          verdict = same ? "✅ Replay matches the recorded result." : "⚠️ Replay does NOT match the recorded result.";
+        }
+
+        return interaction.reply({
+          embeds: [
+            new EmbedBuilder()
+              .setColor(COLOR_NEUTRAL)
+              .setTitle(`🔎 ${BRAND} — RACE VERIFY`)
+              .setDescription(
+                `${header("REPLAY")}\n\n` +
+                  `🔒 **Commit:** \`${commit}\`\n` +
+                  `🏁 **Mode:** ${RACE_MODE_LABELS[rec.mode] || "Solo"} • ${tier.emoji} **Tier:** ${tier.label}\n` +
+                  `${fairnessInputsText(commit)}\n` +
+                  "↳ must match the fingerprint posted when the race launched\n\n" +
+                  `**Finish order:**\n${order}\n\n` +
+                  verdict
+              )
+              .setFooter({ text: FOOTER }),
+          ],
+          ephemeral: true,
+        });
+      }
+
+      if (sub === "duel") {
+        const opponent = interaction.options.getUser("user", true);
+        const tierKey = interaction.options.getString("tier", true);
+        const wager = interaction.options.getInteger("wager", true);
+        return createDuel(interaction, opponent, tierKey, wager);
+      }
+
       const colourKey = interaction.options.getString("colour", true);
       const tierKey = interaction.options.getString("tier", true);
       return runSoloRace(interaction, colourKey, tierKey);
@@ -1552,16 +5567,35 @@ client.on("interactionCreate", async (interaction) => {
           return interaction.reply({ content: "🛠️ Maintenance mode — check back soon.", ephemeral: true });
         }
 
-        if (partyByGuild.has(guildId)) {
-          return interaction.reply({ content: "A party lobby already exists. Use `/raceparty join`.", ephemeral: true });
+        const here = partyInChannel(guildId, interaction.channelId);
+        if (here) {
+          return interaction.reply({
+            content: `This channel already has lobby \`${here.code}\`. Use \`/raceparty join\` or open one in another channel.`,
+            ephemeral: true,
+          });
+        }
+
+        if (guildParties(guildId).length >= MAX_ACTIVE_PARTIES_PER_GUILD) {
+          return interaction.reply({
+            content: "🚦 Too many party lobbies open right now — join one with `/raceparty list` or try again soon.",
+            ephemeral: true,
+          });
+        }
+
+        const mine = partyOfUser(guildId, interaction.user.id);
+        if (mine) {
+          return interaction.reply({ content: `You’re already in lobby \`${mine.code}\`.`, ephemeral: true });
         }
 
         const tierKey = interaction.options.getString("tier", true);
         const colourKey = interaction.options.getString("colour", true);
-        const tier = TIERS[tierKey] || TIERS.standard;
+        const tier = playableTier(tierKey);
+        if (!tier) {
+          return interaction.reply({ content: "❌ That tier isn't available right now.", ephemeral: true });
+        }
 
         // block create if host on cooldown
-        const hostLeft = onCooldown(lastPartyPlay, interaction.user.id, PARTY_COOLDOWN_SEC);
+        const hostLeft = onCooldown(lastPartyPlay, interaction.user.id, settings.partyCooldownSec);
         if (hostLeft) {
           return interaction.reply({
             content: `⏳ You’re on party cooldown. Try again <t:${nowSec() + hostLeft}:R>.`,
@@ -1577,146 +5611,162 @@ client.on("interactionCreate", async (interaction) => {
           });
         }
 
-        const party = makeParty(interaction.user.id, interaction.channelId, tierKey);
+        const ranked = interaction.options.getBoolean("ranked") || false;
+        const party = makeParty(guildId, interaction.user.id, interaction.channelId, tier, ranked);
 
         // host auto-joins with chosen colour
         party.players.set(interaction.user.id, { colourKey });
 
-        partyByGuild.set(guildId, party);
+        partiesByCode.set(party.code, party);
 
         // optional ping once
         const ping = pingRoleText();
         if (ping && interaction.channel?.send) {
-          await interaction.channel.send({ content: `🏟️ Party lobby created! ${ping}` }).catch(() => {});
+          await interaction.channel.send({ content: `🏟️ Party lobby \`${party.code}\` created! ${ping}` }).catch(() => {});
         }
 
         await editOrPostPartyEmbed(interaction, party);
 
-        // auto start
-        party.autoStartTimeout = setTimeout(async () => {
-          try {
-            const p = partyByGuild.get(guildId);
-            if (!p) return;
-            await runPartyRace(interaction.guild, p);
-          } catch {}
-        }, 60_000);
+        armPartyAutoStart(interaction.guild, party);
 
         return;
       }
 
-      const party = partyByGuild.get(guildId);
-      if (!party) {
-        return interaction.reply({ content: "No active party lobby. Create one with `/raceparty create`.", ephemeral: true });
+      if (sub === "list") {
+        const open = guildParties(guildId);
+        if (!open.length) {
+          return interaction.reply({ content: "No open party lobbies. Create one with `/raceparty create`.", ephemeral: true });
+        }
+        const lines = open.map((p) => {
+          const state = p.state === "LOBBY" ? `⏱️ starts <t:${partyStartsAt(p)}:R>` : "🏁 racing";
+          const ranked = p.ranked ? ` • 🏅 ${p.ratingBand.min}–${p.ratingBand.max}` : "";
+          return `\`${p.code}\` • ${p.tier.emoji} ${p.tier.label}${ranked} • 👥 ${p.players.size}/5 • <#${p.channelId}> • ${state}`;
+        });
+        return interaction.reply({
+          content: `🏟️ **Party lobbies** (${open.length}/${MAX_ACTIVE_PARTIES_PER_GUILD})\n${lines.join("\n")}`,
+          ephemeral: true,
+        });
       }
 
-      const tier = TIERS[party.tierKey] || TIERS.standard;
+      const code = sub === "join" ? interaction.options.getString("lobby") : null;
+      const party = resolveParty(interaction, code);
+      if (!party) {
+        return interaction.reply({
+          content: code
+            ? `No lobby with code \`${code.toUpperCase()}\`. See \`/raceparty list\`.`
+            : "No party lobby here. Create one with `/raceparty create` or see `/raceparty list`.",
+          ephemeral: true,
+        });
+      }
 
       if (sub === "join") {
-        if (party.state !== "LOBBY") return interaction.reply({ content: "Party is already running.", ephemeral: true });
-
-        // block join if user on cooldown
-        const left = onCooldown(lastPartyPlay, interaction.user.id, PARTY_COOLDOWN_SEC);
-        if (left) {
-          return interaction.reply({
-            content: `⏳ You’re on party cooldown. Try again <t:${nowSec() + left}:R>.`,
-            ephemeral: true,
-          });
-        }
-
-        // block join if user lacks tokens for this tier
-        if (getTok(interaction.user.id).tokens < tier.tokenCost) {
-          return interaction.reply({
-            content: `❌ You need **${tier.tokenCost} token(s)** to join this **${tier.label}** party.`,
-            ephemeral: true,
-          });
-        }
-
         const colourKey = interaction.options.getString("colour", true);
-
-        if (colourTaken(party, colourKey)) {
-          const c = COLOUR_BY_KEY.get(colourKey);
-          return interaction.reply({ content: `❌ Colour taken: ${c.label}`, ephemeral: true });
-        }
-
-        if (party.players.size >= 5 && !party.players.has(interaction.user.id)) {
-          return interaction.reply({ content: "Party is full (max 5).", ephemeral: true });
-        }
-
-        party.players.set(interaction.user.id, { colourKey });
-
-        const c = COLOUR_BY_KEY.get(colourKey);
-        await interaction.reply({ content: `✅ Joined as ${c.label}`, ephemeral: true });
-        await editOrPostPartyEmbed(interaction, party);
-        return;
+        const msg = await partyJoin(interaction.guild, party, interaction.user.id, colourKey);
+        return interaction.reply({ content: msg, ephemeral: true });
       }
 
       if (sub === "leave") {
-        if (!party.players.has(interaction.user.id)) {
-          return interaction.reply({ content: "You’re not in the party.", ephemeral: true });
-        }
-        party.players.delete(interaction.user.id);
-
-        if (interaction.user.id === party.hostId) {
-          await cancelParty(interaction.guild, party, "Host left — party lobby closed.");
-          return interaction.reply({ content: "Host left — party lobby closed.", ephemeral: true });
-        }
-
-        await interaction.reply({ content: "✅ Left the party.", ephemeral: true });
-        await editOrPostPartyEmbed(interaction, party);
-        return;
+        return interaction.reply({ content: await partyLeave(interaction.guild, party, interaction.user.id), ephemeral: true });
       }
 
       if (sub === "cancel") {
-        if (interaction.user.id !== party.hostId) return interaction.reply({ content: "Only host can cancel.", ephemeral: true });
-        await cancelParty(interaction.guild, party, "Cancelled by host.");
-        return interaction.reply({ content: "🧹 Party cancelled.", ephemeral: true });
+        const isAdmin = interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator);
+        return interaction.reply({ content: await partyCancel(interaction.guild, party, interaction.user.id, isAdmin), ephemeral: true });
       }
 
       if (sub === "start") {
-        if (interaction.user.id !== party.hostId) return interaction.reply({ content: "Only host can start.", ephemeral: true });
+        const blocked = partyStartBlocker(party, interaction.user.id);
+        if (blocked) return interaction.reply({ content: blocked, ephemeral: true });
         await interaction.reply({ content: "🏁 Starting party race now…", ephemeral: true });
         await runPartyRace(interaction.guild, party);
         return;
       }
     }
 
+    if (interaction.commandName === "racetourney") {
+      return handleTourneyCommand(interaction);
+    }
+
+    if (interaction.commandName === "raceevent") {
+      return handleRaceEventCommand(interaction);
+    }
+
     if (interaction.commandName === "tokens") {
       const sub = interaction.options.getSubcommand();
       const me = getTok(interaction.user.id);
 
-      if (sub === "balance") return interaction.reply({ content: `🎟️ Tokens: **${me.tokens}**`, ephemeral: true });
+      if (sub === "balance") {
+        return interaction.reply({ content: `🎟️ Tokens: **${me.tokens}**\n${dailyStreakText(me)}`, ephemeral: true });
+      }
 
       if (sub === "daily") {
-        const now = nowSec();
-        const day = 24 * 60 * 60;
-        const left = me.lastDaily + day - now;
-        if (left > 0) return interaction.reply({ content: `⏳ Try again <t:${me.lastDaily + day}:R>.`, ephemeral: true });
+        const res = claimDaily(interaction.user.id);
+        if (res.error) return interaction.reply({ content: res.error, ephemeral: true });
+
+        const { reward } = res;
+        const extras = [
+          reward.streakBonus ? `+${reward.streakBonus} streak` : null,
+          reward.weekBonus ? `+${reward.weekBonus} day-7 bonus 🎉` : null,
+        ].filter(Boolean);
+        return interaction.reply({
+          content:
+            `✅ Claimed **${reward.total}** token(s)${extras.length ? ` (${extras.join(", ")})` : ""}. Balance: **${me.tokens}**\n` +
+            `🔥 Streak: **${res.streak}** day(s) • day ${reward.cycleDay}/7` +
+            (res.lost ? `\n💔 You missed a day — your ${res.lost}-day streak restarted.` : ""),
+          ephemeral: true,
+        });
+      }
 
-        me.tokens += DAILY_TOKENS;
-        me.lastDaily = now;
+      if (sub === "daily-remind") {
+        me.dailyRemind = interaction.options.getBoolean("enabled", true);
         saveTokens();
-        return interaction.reply({ content: `✅ Claimed **${DAILY_TOKENS}** token. Balance: **${me.tokens}**`, ephemeral: true });
+        return interaction.reply({
+          content: me.dailyRemind
+            ? `🔔 I'll DM you ${DAILY_REMIND_BEFORE_SEC / 3600}h before your daily streak runs out (keep DMs from server members open).`
+            : "🔕 Daily streak reminders off.",
+          ephemeral: true,
+        });
       }
 
+      if (sub === "buy") return buyTokensWithPoints(interaction, interaction.options.getInteger("amount", true));
+
       if (sub === "transfer") {
         const to = interaction.options.getUser("to", true);
         const amt = interaction.options.getInteger("amount", true);
         if (to.bot) return interaction.reply({ content: "❌ Can't transfer to bots.", ephemeral: true });
         if (me.tokens < amt) return interaction.reply({ content: `❌ You have **${me.tokens}** tokens.`, ephemeral: true });
 
-        getTok(to.id).tokens += amt;
-        me.tokens -= amt;
+        adjustTokens(to.id, amt, "transfer_in", { counterparty: interaction.user.id });
+        adjustTokens(interaction.user.id, -amt, "transfer_out", { counterparty: to.id });
         saveTokens();
         return interaction.reply({ content: `✅ Sent **${amt}** tokens to ${tag(to.id)}.`, ephemeral: true });
       }
 
+      if (sub === "history") {
+        const page = interaction.options.getInteger("page") || 1;
+        return interaction.reply({
+          embeds: [tokenHistoryEmbed(interaction.user.id, page, `🧾 ${BRAND} — Token History`)],
+          ephemeral: true,
+        });
+      }
+
       const isAdmin = interaction.memberPermissions?.has(PermissionsBitField.Flags.Administrator);
 
+      if (sub === "audit") {
+        if (!isAdmin) return interaction.reply({ content: "❌ Admin only.", ephemeral: true });
+        const user = interaction.options.getUser("user", true);
+        const page = interaction.options.getInteger("page") || 1;
+        return interaction.reply({
+          embeds: [tokenHistoryEmbed(user.id, page, "🧾 Token Audit")],
+          ephemeral: true,
+        });
+      }
+
       if (sub === "give") {
         if (!isAdmin) return interaction.reply({ content: "❌ Admin only.", ephemeral: true });
         const user = interaction.options.getUser("user", true);
         const amt = interaction.options.getInteger("amount", true);
-        getTok(user.id).tokens += amt;
+        adjustTokens(user.id, amt, "admin_give", { counterparty: interaction.user.id });
         saveTokens();
         return interaction.reply({ content: `✅ Gave **${amt}** tokens to ${tag(user.id)}.`, ephemeral: true });
       }
@@ -1733,7 +5783,7 @@ client.on("interactionCreate", async (interaction) => {
         let count = 0;
         members.forEach((m) => {
           if (m.user.bot) return;
-          getTok(m.id).tokens += amt;
+          adjustTokens(m.id, amt, "admin_giveall", { counterparty: interaction.user.id });
           count++;
         });
         saveTokens();
@@ -1760,21 +5810,561 @@ client.on("interactionCreate", async (interaction) => {
       if (sub === "freeze-payouts-on") {
         settings.freezePayouts = true;
         saveSettings();
-        return interaction.reply({ content: "⛔ Payouts frozen.", ephemeral: true });
+        return interaction.reply({ content: "⛔ Payouts frozen. New payouts are held in the ledger.", ephemeral: true });
       }
       if (sub === "freeze-payouts-off") {
         settings.freezePayouts = false;
         saveSettings();
-        return interaction.reply({ content: "✅ Payouts unfrozen.", ephemeral: true });
+        const released = PAYOUTS.releaseFrozen();
+        return interaction.reply({
+          content: `✅ Payouts unfrozen. Released **${released}** held payout(s) to the queue.`,
+          ephemeral: true,
+        });
       }
 
       if (sub === "season-reset") {
-        statsDB.users = {};
-        statsDB.meta = { seasonStart: Date.now(), seasonNumber: (statsDB.meta?.seasonNumber || 1) + 1 };
-        saveStats();
+        const archived = rollSeason(`manual (${interaction.user.id})`);
+        awardSeasonRewards(archived).catch((e) => console.error("Season rewards error:", e?.message || e));
         return interaction.reply({ content: `🧼 Season reset. New season #${statsDB.meta.seasonNumber}`, ephemeral: true });
       }
 
+      if (interaction.options.getSubcommandGroup(false) === "tier") {
+        if (sub === "list") {
+          const lines = Object.values(settings.tiers).map(
+            (t) =>
+              `${tierLine(t)}${t.disabled ? " • **DISABLED**" : ""}\n` +
+              `\`${t.key}\` • house edge \`${t.houseEdge}\` • streak x\`${t.streakMult}\` • ` +
+              `payouts ${[1, 2, 3, 4, 5].map((p) => t.payouts[p].toLocaleString()).join(" / ")}`
+          );
+          return interaction.reply({
+            embeds: [
+              new EmbedBuilder()
+                .setColor(COLOR_NEUTRAL)
+                .setTitle(`🎚️ ${BRAND} — Race Tiers`)
+                .setDescription(lines.join("\n\n") || "`No tiers.`")
+                .setFooter({ text: FOOTER }),
+            ],
+            ephemeral: true,
+          });
+        }
+
+        if (sub === "create") {
+          const key = interaction.options.getString("key", true).trim().toLowerCase();
+          if (!/^[a-z0-9_-]{2,20}$/.test(key)) {
+            return interaction.reply({ content: "❌ Key must be 2-20 chars: a-z, 0-9, `_` or `-`.", ephemeral: true });
+          }
+          if (settings.tiers[key]) {
+            return interaction.reply({ content: `❌ Tier \`${key}\` already exists. Use \`/raceadmin tier edit\`.`, ephemeral: true });
+          }
+
+          const payouts = {};
+          for (const p of [1, 2, 3, 4, 5]) payouts[p] = interaction.options.getInteger(`p${p}`, true);
+
+          const tier = {
+            key,
+            label: interaction.options.getString("label", true).trim(),
+            emoji: interaction.options.getString("emoji", true).trim(),
+            tokenCost: interaction.options.getInteger("cost", true),
+            payouts,
+            houseEdge: interaction.options.getNumber("house_edge") ?? 0.7,
+            streakMult: interaction.options.getNumber("streak_mult") ?? 1,
+          };
+          const refusal = await tierPriceRefusal(interaction, tier);
+          if (refusal) return interaction.editReply({ content: refusal }).catch(() => {});
+
+          settings.tiers[key] = tier;
+          saveSettings();
+          return interaction.editReply({ content: `✅ Tier created: ${tierLine(tier)}` });
+        }
+
+        const t = settings.tiers[interaction.options.getString("tier", true)];
+        if (!t) return interaction.reply({ content: "❌ Unknown tier.", ephemeral: true });
+
+        if (sub === "edit") {
+          const label = interaction.options.getString("label");
+          const emoji = interaction.options.getString("emoji");
+          const cost = interaction.options.getInteger("cost");
+          const houseEdge = interaction.options.getNumber("house_edge");
+          const streakMult = interaction.options.getNumber("streak_mult");
+
+          // edit a copy: a refused edit must leave the stored tier untouched
+          const next = { ...t, payouts: { ...t.payouts } };
+          if (label) next.label = label.trim();
+          if (emoji) next.emoji = emoji.trim();
+          if (cost !== null) next.tokenCost = cost;
+          if (houseEdge !== null) next.houseEdge = houseEdge;
+          if (streakMult !== null) next.streakMult = streakMult;
+          let touchesReturn = cost !== null || houseEdge !== null || streakMult !== null;
+          for (const p of [1, 2, 3, 4, 5]) {
+            const v = interaction.options.getInteger(`p${p}`);
+            if (v === null) continue;
+            next.payouts[p] = v;
+            touchesReturn = true;
+          }
+
+          const refusal = touchesReturn ? await tierPriceRefusal(interaction, next) : null;
+          if (refusal) return interaction.editReply({ content: refusal }).catch(() => {});
+
+          Object.assign(t, next);
+          saveSettings();
+          const updated = {
+            content: `✅ Tier updated: ${tierLine(t)}\n${payoutTableText(t)}\nHouse edge \`${t.houseEdge}\` • streak x\`${t.streakMult}\``,
+            ephemeral: true,
+          };
+          return interaction.deferred ? interaction.editReply(updated) : interaction.reply(updated);
+        }
+
+        if (sub === "disable") {
+          if (!t.disabled && enabledTiers().length <= 1) {
+            return interaction.reply({ content: "❌ At least one tier must stay enabled.", ephemeral: true });
+          }
+          t.disabled = true;
+          saveSettings();
+          return interaction.reply({ content: `⛔ Tier disabled: ${tierLine(t)}`, ephemeral: true });
+        }
+
+        if (sub === "enable") {
+          const refusal = await tierPriceRefusal(interaction, { ...t, disabled: undefined });
+          if (refusal) return interaction.editReply({ content: refusal }).catch(() => {});
+
+          delete t.disabled;
+          saveSettings();
+          return interaction.editReply({ content: `✅ Tier enabled: ${tierLine(t)}` });
+        }
+      }
+
+      if (interaction.options.getSubcommandGroup(false) === "quest") {
+        if (sub === "list") {
+          const week = currentQuestWeek();
+          return interaction.reply({
+            embeds: [
+              new EmbedBuilder()
+                .setColor(COLOR_NEUTRAL)
+                .setTitle("📜 Weekly Quests")
+                .addFields(
+                  { name: "This week", value: week.quests.map(questLine).join("\n").slice(0, 1024) || "`None.`", inline: false },
+                  { name: `Pool (${questsDB.pool.length})`, value: questsDB.pool.map(questLine).join("\n").slice(0, 1024) || "`Empty.`", inline: false }
+                )
+                .setFooter({ text: FOOTER }),
+            ],
+            ephemeral: true,
+          });
+        }
+
+        const key = interaction.options.getString("key", true).trim().toLowerCase();
+
+        if (sub === "add") {
+          if (!/^[a-z0-9_]{2,30}$/.test(key)) {
+            return interaction.reply({ content: "❌ Key must be 2–30 chars: a-z, 0-9, _", ephemeral: true });
+          }
+          const tierKey = interaction.options.getString("tier");
+          if (tierKey && !settings.tiers[tierKey]) return interaction.reply({ content: "❌ Unknown tier.", ephemeral: true });
+
+          const q = {
+            key,
+            label: interaction.options.getString("label", true).trim(),
+            count: interaction.options.getInteger("count", true),
+            tokens: interaction.options.getInteger("tokens", true),
+          };
+          const mode = interaction.options.getString("mode");
+          const colour = interaction.options.getString("colour");
+          const maxPlace = interaction.options.getInteger("max_place");
+          if (mode) q.mode = mode;
+          if (tierKey) q.tier = tierKey;
+          if (colour) q.colour = colour;
+          if (maxPlace) q.maxPlace = maxPlace;
+
+          const replaced = questsDB.pool.some((x) => x.key === key);
+          questsDB.pool = questsDB.pool.filter((x) => x.key !== key).concat(q);
+          saveQuests();
+
+          await auditLog(
+            interaction.guild,
+            new EmbedBuilder()
+              .setColor(COLOR_NEUTRAL)
+              .setTitle(`📜 Audit • Quest ${replaced ? "updated" : "added"}`)
+              .setDescription(`${questLine(q)}\nBy: ${tag(interaction.user.id)}`)
+              .setFooter({ text: FOOTER })
+          );
+          return interaction.reply({ content: `✅ Quest ${replaced ? "updated" : "added"} (drawn from next week):\n${questLine(q)}`, ephemeral: true });
+        }
+
+        if (sub === "remove") {
+          const q = questsDB.pool.find((x) => x.key === key);
+          if (!q) return interaction.reply({ content: `❌ No quest \`${key}\` in the pool.`, ephemeral: true });
+          questsDB.pool = questsDB.pool.filter((x) => x.key !== key);
+          saveQuests();
+
+          await auditLog(
+            interaction.guild,
+            new EmbedBuilder()
+              .setColor(COLOR_NEUTRAL)
+              .setTitle("📜 Audit • Quest removed")
+              .setDescription(`${questLine(q)}\nBy: ${tag(interaction.user.id)}`)
+              .setFooter({ text: FOOTER })
+          );
+          return interaction.reply({ content: `🗑️ Quest \`${key}\` removed from the pool. This week's draw is unchanged.`, ephemeral: true });
+        }
+      }
+
+      if (interaction.options.getSubcommandGroup(false) === "achievement") {
+        if (sub === "list") {
+          const line = (a) => {
+            const needs = [
+              a.stat ? `${ACH_STATS[a.stat] || a.stat} ≥ ${a.threshold}` : "",
+              a.predicate ? ACH_PREDICATES[a.predicate]?.label || a.predicate : "",
+            ]
+              .filter(Boolean)
+              .join(" + ");
+            const season = a.season ? ` • season #${a.season} only` : "";
+            return `\`${a.key}\` ${achievementRewardText(a)} — ${needs}${season}`;
+          };
+          const custom = Object.values(achievementsDB.custom);
+          return interaction.reply({
+            embeds: [
+              new EmbedBuilder()
+                .setColor(COLOR_NEUTRAL)
+                .setTitle("🏅 Achievements")
+                .addFields(
+                  { name: "Built-in", value: BUILTIN_ACHIEVEMENTS.map(line).join("\n").slice(0, 1024), inline: false },
+                  { name: "Custom", value: custom.length ? custom.map(line).join("\n").slice(0, 1024) : "`None.`", inline: false }
+                )
+                .setFooter({ text: FOOTER }),
+            ],
+            ephemeral: true,
+          });
+        }
+
+        const key = interaction.options.getString("key", true).trim().toLowerCase();
+
+        if (sub === "add") {
+          if (!/^[a-z0-9_]{2,30}$/.test(key)) {
+            return interaction.reply({ content: "❌ Key must be 2–30 chars: a-z, 0-9, _", ephemeral: true });
+          }
+          if (BUILTIN_ACHIEVEMENTS.some((a) => a.key === key)) {
+            return interaction.reply({ content: "❌ That key belongs to a built-in achievement.", ephemeral: true });
+          }
+
+          const stat = interaction.options.getString("stat");
+          const threshold = interaction.options.getInteger("threshold");
+          const predicate = interaction.options.getString("predicate");
+          if (!stat && !predicate) {
+            return interaction.reply({ content: "❌ Give a `stat` + `threshold`, a `predicate`, or both.", ephemeral: true });
+          }
+          if (stat && !threshold) {
+            return interaction.reply({ content: "❌ `stat` needs a `threshold`.", ephemeral: true });
+          }
+
+          const def = {
+            key,
+            name: interaction.options.getString("name", true).trim(),
+            stat: stat || null,
+            threshold: stat ? threshold : null,
+            predicate: predicate || null,
+            tokens: interaction.options.getInteger("tokens") ?? 0,
+            roleId: interaction.options.getRole("role")?.id || null,
+            season: interaction.options.getBoolean("seasonal") ? statsDB.meta.seasonNumber : null,
+            createdBy: interaction.user.id,
+          };
+          const replaced = Boolean(achievementsDB.custom[key]);
+          achievementsDB.custom[key] = def;
+          saveAchievements();
+
+          await auditLog(
+            interaction.guild,
+            new EmbedBuilder()
+              .setColor(COLOR_NEUTRAL)
+              .setTitle(`🏅 Audit • Achievement ${replaced ? "updated" : "added"}`)
+              .setDescription(`\`${key}\` ${achievementRewardText(def)}\nBy: ${tag(interaction.user.id)}`)
+              .setFooter({ text: FOOTER })
+          );
+          return interaction.reply({
+            content: `✅ Achievement \`${key}\` ${replaced ? "updated" : "added"}: ${achievementRewardText(def)}${def.season ? ` (season #${def.season} only)` : ""}`,
+            ephemeral: true,
+          });
+        }
+
+        if (sub === "remove") {
+          const def = achievementsDB.custom[key];
+          if (!def) return interaction.reply({ content: `❌ No custom achievement \`${key}\`.`, ephemeral: true });
+          delete achievementsDB.custom[key];
+          saveAchievements();
+
+          await auditLog(
+            interaction.guild,
+            new EmbedBuilder()
+              .setColor(COLOR_NEUTRAL)
+              .setTitle("🏅 Audit • Achievement removed")
+              .setDescription(`\`${key}\` ${achievementRewardText(def)}\nBy: ${tag(interaction.user.id)}`)
+              .setFooter({ text: FOOTER })
+          );
+          return interaction.reply({ content: `🗑️ Achievement \`${key}\` removed. Players keep the rewards they already got.`, ephemeral: true });
+        }
+      }
+
+      if (interaction.options.getSubcommandGroup(false) === "payouts") {
+        if (sub === "list") {
+          const status = interaction.options.getString("status");
+          const page = interaction.options.getInteger("page") || 1;
+          const perPage = 10;
+          const all = PAYOUTS.list(status);
+          const pages = Math.max(1, Math.ceil(all.length / perPage));
+          const rows = all.slice((page - 1) * perPage, page * perPage);
+          const c = PAYOUTS.counts();
+
+          return interaction.reply({
+            embeds: [
+              new EmbedBuilder()
+                .setColor(COLOR_NEUTRAL)
+                .setTitle(`💸 Payout Ledger${status ? ` • ${status}` : ""} • page ${Math.min(page, pages)}/${pages}`)
+                .setDescription(rows.map(payoutLine).join("\n") || "`No entries.`")
+                .addFields({
+                  name: "Totals",
+                  value: Object.entries(c)
+                    .map(([k, v]) => `${k}: **${v}**`)
+                    .join(" • "),
+                  inline: false,
+                })
+                .setFooter({ text: FOOTER }),
+            ],
+            ephemeral: true,
+          });
+        }
+
+        const id = interaction.options.getString("id", true).trim();
+
+        if (sub === "retry") {
+          const e = PAYOUTS.retry(id);
+          if (!e) return interaction.reply({ content: "❌ No retryable payout with that ID.", ephemeral: true });
+          return interaction.reply({ content: `🔁 Re-queued:\n${payoutLine(e)}`, ephemeral: true });
+        }
+
+        if (sub === "void") {
+          const e = PAYOUTS.voidEntry(id, interaction.user.id);
+          if (!e) return interaction.reply({ content: "❌ No unsent payout with that ID.", ephemeral: true });
+          await auditLog(
+            interaction.guild,
+            new EmbedBuilder()
+              .setColor(COLOR_NEUTRAL)
+              .setTitle("🗑️ Audit • Payout voided")
+              .setDescription(`${payoutLine(e)}\nBy: ${tag(interaction.user.id)}`)
+              .setFooter({ text: FOOTER })
+          );
+          return interaction.reply({ content: `🗑️ Voided:\n${payoutLine(e)}`, ephemeral: true });
+        }
+      }
+
+      if (sub === "config") {
+        const changes = {
+          trackLen: interaction.options.getInteger("track_len"),
+          tickMs: interaction.options.getInteger("tick_ms"),
+          soloCooldownSec: interaction.options.getInteger("solo_cooldown"),
+          partyCooldownSec: interaction.options.getInteger("party_cooldown"),
+          dailyTokens: interaction.options.getInteger("daily_tokens"),
+          dailyGraceHours: interaction.options.getInteger("daily_grace"),
+          dailyStreakStep: interaction.options.getInteger("daily_streak_step"),
+          dailyWeekBonus: interaction.options.getInteger("daily_week_bonus"),
+          questsPerWeek: interaction.options.getInteger("quests_per_week"),
+          rankedBand: interaction.options.getInteger("ranked_band"),
+          duelRakePct: interaction.options.getInteger("duel_rake"),
+          eventJoinWindowSec: interaction.options.getInteger("event_window"),
+          pointsPerToken: interaction.options.getInteger("points_per_token"),
+          kaosReplyTimeoutSec: interaction.options.getInteger("kaos_timeout"),
+        };
+        const tourneyCh = interaction.options.getChannel("tourney_channel");
+        if (tourneyCh) changes.tourneyChannelId = tourneyCh.id;
+
+        const rules = { ...DEFAULT_REPLY_RULES, ...settings.kaosReplyRules };
+        delete rules.okPattern; // pre-split single success pattern
+        const kaosBot = interaction.options.getUser("kaos_bot");
+        if (kaosBot) rules.botId = kaosBot.id;
+        for (const [opt, key] of [
+          ["kaos_add_pattern", "addPattern"],
+          ["kaos_remove_pattern", "removePattern"],
+          ["kaos_fail_pattern", "failPattern"],
+        ]) {
+          const v = interaction.options.getString(opt);
+          if (v === null) continue;
+          if (v.trim().toLowerCase() === "default") {
+            rules[key] = DEFAULT_REPLY_RULES[key];
+            continue;
+          }
+          try {
+            new RegExp(v, "i");
+          } catch (e) {
+            return interaction.reply({ content: `❌ \`${opt}\` isn't a valid regex: ${e.message}`, ephemeral: true });
+          }
+          rules[key] = v;
+        }
+        if (JSON.stringify(rules) !== JSON.stringify(settings.kaosReplyRules)) changes.kaosReplyRules = rules;
+
+        // the track length moves the per-token return too
+        if (changes.pointsPerToken !== null || changes.trackLen !== null) {
+          await interaction.deferReply({ ephemeral: true });
+          const price = changes.pointsPerToken ?? settings.pointsPerToken;
+          const trackLen = changes.trackLen ?? settings.trackLen;
+          let problem;
+          try {
+            problem = await tokenPriceProblem(enabledTiers(), trackLen, price);
+          } catch (e) {
+            console.error("token price floor error:", e?.message || e);
+            return interaction.editReply({ content: "❌ Couldn't simulate the tier returns — settings not saved." }).catch(() => {});
+          }
+          if (problem) {
+            return interaction
+              .editReply({
+                content:
+                  changes.pointsPerToken !== null
+                    ? `❌ \`points_per_token\` must be at least **${problem.floor.toLocaleString()}** — ${problem.why}. Settings not saved.`
+                    : `❌ At track length **${trackLen}**, ${problem.why} — more than the **${price.toLocaleString()}** Kaos point token price ` +
+                      `(needs at least **${problem.floor.toLocaleString()}**). Set \`points_per_token\` in the same call. Settings not saved.`,
+              })
+              .catch(() => {});
+          }
+        }
+
+        let changed = false;
+        for (const [k, v] of Object.entries(changes)) {
+          if (v === null || v === undefined) continue;
+          settings[k] = v;
+          changed = true;
+        }
+        if (changed) saveSettings();
+
+        const replyRules = { ...DEFAULT_REPLY_RULES, ...settings.kaosReplyRules };
+        const summary = {
+          content:
+            `${changed ? "✅ Settings saved (new races use them)." : "⚙️ Current race settings:"}\n` +
+            `• Track length: **${settings.trackLen}**\n` +
+            `• Tick: **${settings.tickMs}ms**\n` +
+            `• Solo cooldown: **${settings.soloCooldownSec}s** • Party cooldown: **${settings.partyCooldownSec}s**\n` +
+            `• Daily tokens: **${settings.dailyTokens}** • streak +**${settings.dailyStreakStep}** every 2 days • day 7 +**${settings.dailyWeekBonus}** • grace **${settings.dailyGraceHours}h**\n` +
+            `• Ranked band: **±${settings.rankedBand}** rating\n` +
+            `• Weekly quests: **${settings.questsPerWeek}**\n` +
+            `• Duel rake: **${settings.duelRakePct}%**\n` +
+            `• Event join window: **${settings.eventJoinWindowSec}s**\n` +
+            `• Tournament channel: ${settings.tourneyChannelId ? `<#${settings.tourneyChannelId}>` : "`where /racetourney create runs`"}\n` +
+            `• Token price: **${settings.pointsPerToken.toLocaleString()}** Kaos points • Kaos reply timeout: **${settings.kaosReplyTimeoutSec}s**\n` +
+            `• Kaos replies from: ${replyRules.botId ? tag(replyRules.botId) : "`any bot`"} • ` +
+            `add \`/${replyRules.addPattern}/i\` • remove \`/${replyRules.removePattern}/i\` • fail \`/${replyRules.failPattern}/i\``,
+          ephemeral: true,
+        };
+        return interaction.deferred ? interaction.editReply(summary) : interaction.reply(summary);
+      }
+
+      if (sub === "reconcile") {
+        return interaction.reply(reconcileReply(interaction.options.getInteger("minutes") || 30));
+      }
+
+      if (sub === "rtp-report") {
+        const tier = settings.tiers[interaction.options.getString("tier", true)];
+        if (!tier) return interaction.reply({ content: "❌ Unknown tier.", ephemeral: true });
+        const runs = interaction.options.getInteger("runs") || 5000;
+
+        await interaction.reply({ content: `⏳ Simulating **${runs}** races per streak…`, ephemeral: true });
+
+        const upgrades = {
+          engine: interaction.options.getInteger("engine") || 0,
+          hull: interaction.options.getInteger("hull") || 0,
+          nitro: interaction.options.getInteger("nitro") || 0,
+        };
+        let report;
+        try {
+          report = await runRtpReportInWorker(tier, { runs, trackLen: settings.trackLen, upgrades });
+        } catch (e) {
+          console.error("rtp report error:", e?.message || e);
+          return interaction.editReply({ content: "❌ RTP report failed — check the bot logs." }).catch(() => {});
+        }
+        return interaction
+          .editReply({
+            content: "",
+            embeds: [
+              new EmbedBuilder()
+                .setColor(COLOR_NEUTRAL)
+                .setTitle(`📈 RTP Report • ${tier.emoji} ${tier.label}`)
+                .setDescription(
+                  `Solo bet on ${COLOUR_BY_KEY.get(report.colour).label} • **${runs}** seeded races per row • cost **${tier.tokenCost} token(s)**\n` +
+                    `🔧 Garage: ${garageUpgradeText(upgrades) || "stock boat"}\n` +
+                    `Payouts in ${CURRENCY_NAME}; *per token* = mean payout ÷ token cost.\n\n` +
+                    `\`\`\`\n${formatRtpReport(report)}\n\`\`\``
+                )
+                .addFields({ name: "Payout table", value: payoutTableText(tier), inline: false })
+                .setFooter({ text: FOOTER }),
+            ],
+          })
+          .catch(() => {});
+      }
+
+      if (sub === "season-rewards") {
+        const cfg = settings.seasonRewards;
+        const parseList = (str) =>
+          String(str)
+            .split(",")
+            .map((x) => Math.max(0, parseInt(x.trim(), 10) || 0));
+
+        const enabled = interaction.options.getBoolean("enabled");
+        const topN = interaction.options.getInteger("top_n");
+        const tokens = interaction.options.getString("tokens");
+        const points = interaction.options.getString("kaos_points");
+        const role = interaction.options.getRole("champion_role");
+        const channel = interaction.options.getChannel("recap_channel");
+
+        if (enabled !== null) cfg.enabled = enabled;
+        if (topN !== null) cfg.topN = topN;
+        if (tokens !== null) cfg.tokens = parseList(tokens);
+        if (points !== null) cfg.kaosPoints = parseList(points);
+        if (role) cfg.championRoleId = role.id;
+        if (channel) cfg.recapChannelId = channel.id;
+        saveSettings();
+
+        return interaction.reply({
+          content:
+            `🏆 **Season rewards:** ${cfg.enabled ? "ON" : "OFF"}\n` +
+            `• Top **${cfg.topN}** on winnings + wins boards\n` +
+            `• Tokens by rank: \`${cfg.tokens.join(", ") || "none"}\`\n` +
+            `• ${CURRENCY_NAME} by rank: \`${cfg.kaosPoints.map((x) => x.toLocaleString()).join(", ") || "none"}\`\n` +
+            `• Champion role: ${cfg.championRoleId ? `<@&${cfg.championRoleId}>` : "`none`"}\n` +
+            `• Recap channel: ${cfg.recapChannelId ? `<#${cfg.recapChannelId}>` : "`none` (audit log only)"}`,
+          ephemeral: true,
+        });
+      }
+
+      if (sub === "cooldowns") {
+        const user = interaction.options.getUser("user", true);
+        const clear = interaction.options.getBoolean("clear") || false;
+
+        const soloLeft = onCooldown(lastSoloPlay, user.id, settings.soloCooldownSec);
+        const partyLeft = onCooldown(lastPartyPlay, user.id, settings.partyCooldownSec);
+        const solo = activeSoloRaceOf(user.id);
+        const inParty = partyOfUser(interaction.guildId, user.id);
+        const when = (left) => (left ? `ends <t:${nowSec() + left}:R>` : "`ready`");
+
+        const lines = [
+          `⏳ **Cooldowns for ${tag(user.id)}**`,
+          `• Solo: ${when(soloLeft)}`,
+          `• Party: ${when(partyLeft)}`,
+          `• Solo race running: ${solo ? `yes (started <t:${Math.floor(solo.startedAt / 1000)}:R>)` : "no"}`,
+          `• Party lobby: ${inParty ? `\`${inParty.code}\` (${inParty.state.toLowerCase()})` : "none"}`,
+        ];
+
+        if (clear) {
+          delete lastSoloPlay[user.id];
+          delete lastPartyPlay[user.id];
+          saveRaceState();
+          lines.push("", "🧹 Cooldowns cleared.");
+          await auditLog(
+            interaction.guild,
+            new EmbedBuilder()
+              .setColor(COLOR_NEUTRAL)
+              .setTitle("🧹 Audit • Cooldowns cleared")
+              .setDescription(`User: ${tag(user.id)} (${user.id})\nBy: ${tag(interaction.user.id)}`)
+              .setFooter({ text: FOOTER })
+          );
+        }
+
+        return interaction.reply({ content: lines.join("\n"), ephemeral: true });
+      }
+
       if (sub === "season-info") {
         const start = statsDB.meta?.seasonStart || Date.now();
         const days = settings.seasonLengthDays || 14;
@@ -80,17 +80,29 @@ async function getTextChannel(client, id) {
   return ch;
 }
 
+// ids may repeat (bonus entries = extra tickets); each user wins at most once
 function chooseWinners(ids, count) {
-  const pool = ids.slice();
+  let pool = ids.slice();
   const out = [];
   while (pool.length && out.length < count) {
-    const idx = Math.floor(Math.random() * pool.length);
-    out.push(pool[idx]);
-    pool.splice(idx, 1);
+    const winner = pool[Math.floor(Math.random() * pool.length)];
+    out.push(winner);
+    pool = pool.filter((x) => x !== winner);
   }
   return out;
 }
 
+// one ticket per entrant, +1 per bonus entry bought in the shop. The bonus role adds no
+// ticket: the draw always de-duplicated its extra entry, and changing those odds is its own change.
+function drawPool(g) {
+  const pool = [];
+  for (const uid of g.entrantIds) {
+    pool.push(uid);
+    for (let i = 0; i < (g.purchasedEntries[uid] || 0); i++) pool.push(uid);
+  }
+  return pool;
+}
+
 function createGiveawaySystem(client, commandsDef = [], opts = {}) {
   const DATA_DIR = opts.DATA_DIR ? path.resolve(opts.DATA_DIR) : path.join(__dirname, "data");
   const DATA_FILE = path.join(DATA_DIR, "giveaways.json");
@@ -105,6 +117,7 @@ function createGiveawaySystem(client, commandsDef = [], opts = {}) {
       if (!g.remindersSent) g.remindersSent = { h24: false, h1: false, m10: false };
       if (!Array.isArray(g.entrantIds)) g.entrantIds = [];
       if (!Array.isArray(g.bonusEntrantIds)) g.bonusEntrantIds = [];
+      if (!g.purchasedEntries || typeof g.purchasedEntries !== "object") g.purchasedEntries = {};
       if (!Array.isArray(g.winnerIds)) g.winnerIds = [];
       if (typeof g.startsAtUnix !== "number") g.startsAtUnix = g.createdAtUnix || nowUnix();
       if (typeof g.messageId === "undefined") g.messageId = null;
@@ -237,12 +250,7 @@ function createGiveawaySystem(client, commandsDef = [], opts = {}) {
   async function endGiveaway(g, reason = "Auto-complete") {
     if (g.endedAtUnix) return;
 
-    const weighted = [];
-    for (const uid of g.entrantIds) {
-      weighted.push(uid);
-      if (g.bonusRoleId && g.bonusEntrantIds.includes(uid)) weighted.push(uid);
-    }
-    const winners = chooseWinners([...new Set(weighted)], g.winnerCount);
+    const winners = chooseWinners(drawPool(g), g.winnerCount);
 
     g.endedAtUnix = nowUnix();
     g.winnerIds = winners;
@@ -391,6 +399,7 @@ function createGiveawaySystem(client, commandsDef = [], opts = {}) {
       winnerIds: [],
       entrantIds: [],
       bonusEntrantIds: [],
+      purchasedEntries: {},
       requiredRoleId: requiredRole?.id || null,
       bonusRoleId: bonusRole?.id || null,
       winnerRoleId: winnerRole?.id || null,
@@ -609,12 +618,7 @@ function createGiveawaySystem(client, commandsDef = [], opts = {}) {
       if (!g.endedAtUnix) return interaction.reply({ content: "❌ Giveaway is still active. End it first.", ephemeral: true }).then(() => true);
 
       const count = interaction.options.getInteger("winners", false) || g.winnerCount;
-      const weighted = [];
-      for (const uid of g.entrantIds) {
-        weighted.push(uid);
-        if (g.bonusRoleId && g.bonusEntrantIds.includes(uid)) weighted.push(uid);
-      }
-      g.winnerIds = chooseWinners([...new Set(weighted)], count);
+      g.winnerIds = chooseWinners(drawPool(g), count);
       await grantWinnerRoles(g);
 
       data.giveaways[g.id] = g;
@@ -693,7 +697,24 @@ function createGiveawaySystem(client, commandsDef = [], opts = {}) {
     tick().catch(() => {});
   }
 
-  return { name: "giveaways", commands, handleInteraction, onReady };
+  // Shop bonus entry: one extra ticket in the soonest-ending live giveaway the user has entered
+  // (or in giveawayId). Returns { giveaway, tickets } or { error }.
+  function addBonusEntry(userId, giveawayId = null) {
+    const live = Object.values(data.giveaways)
+      .filter((g) => g.messageId && !g.endedAtUnix && (!giveawayId || g.id === giveawayId))
+      .sort((a, b) => a.endsAtUnix - b.endsAtUnix);
+    if (!live.length) return { error: "There's no live giveaway to add a bonus entry to." };
+
+    const g = live.find((x) => x.entrantIds.includes(userId));
+    if (!g) return { error: "Enter the giveaway first, then buy the bonus entry." };
+
+    g.purchasedEntries[userId] = (g.purchasedEntries[userId] || 0) + 1;
+    data.giveaways[g.id] = g;
+    saveJson(DATA_FILE, data);
+    return { giveaway: { id: g.id, prize: g.prize }, tickets: drawPool(g).filter((x) => x === userId).length };
+  }
+
+  return { name: "giveaways", commands, handleInteraction, onReady, addBonusEntry };
 }
 
-module.exports = { createGiveawaySystem };
+module.exports = { createGiveawaySystem, parseUtcToUnix };
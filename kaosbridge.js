@@ -0,0 +1,266 @@
+"use strict";
+
+/**
+ * Two-way Kaos bridge.
+ *
+ * Sends [KAOS] commands to the Kaos channel and matches the Kaos bot's replies back
+ * to them. Every request is written to data/kaosbridge.json before it is sent, so a
+ * restart doesn't lose track of points that may already have moved.
+ *
+ * A success reply only settles a request of the same action (an "added" can't confirm a
+ * REMOVE). It is matched by Discord reply reference when Kaos uses one, else by the
+ * mentioned user + the exact amount, oldest first; a reply without an amount only
+ * settles a request it replies to. The parser is plain config (regexes), so it can be
+ * pointed at a local stand-in bot.
+ *
+ * Status flow: waiting -> confirmed | failed | timeout ; timeout -> confirmed | failed (late reply)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const SWEEP_INTERVAL_MS = 5 * 1000;
+const LATE_MATCH_SEC = 6 * 3600; // a timed-out request can still be settled by a late reply
+const KEEP_DAYS = 30;
+
+// botId "" = any bot. Patterns are case-insensitive; named groups (?<user>) and
+// (?<amount>) are used when present, else the first user mention / first number in the reply.
+// addPattern confirms an ADD, removePattern a REMOVE; failPattern fails either.
+const DEFAULT_REPLY_RULES = {
+  botId: "",
+  addPattern: "\\b(added|gave|given|credited)\\b",
+  removePattern: "\\b(removed|took|taken|deducted)\\b",
+  failPattern: "\\b(fail(ed|ure)?|error|insufficient|not enough|invalid|denied)\\b|❌",
+};
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function loadJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function saveJson(file, obj) {
+  ensureDir(path.dirname(file));
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+// action: ADD | REMOVE
+function kaosCommand(action, userId, amount) {
+  return `[KAOS][${action}][<@${userId}>][1]=[POINTS][${amount}]`;
+}
+
+// Kaos may answer in plain text or an embed; search all of it
+function messageText(message) {
+  const parts = [message.content || ""];
+  for (const e of message.embeds || []) {
+    parts.push(e.title, e.description, e.footer?.text);
+    for (const f of e.fields || []) parts.push(f.name, f.value);
+  }
+  return parts.filter(Boolean).join("\n");
+}
+
+function compile(pattern, fallback) {
+  try {
+    return new RegExp(pattern || fallback, "i");
+  } catch {
+    return new RegExp(fallback, "i");
+  }
+}
+
+/**
+ * @param {object} message discord.js Message (or anything with content / embeds / reference)
+ * @param {object} [rules] { botId, addPattern, removePattern, failPattern }
+ * @returns {{ outcome: "confirmed"|"failed", action: "ADD"|"REMOVE"|null, userId: string|null, amount: number|null, replyTo: string|null } | null}
+ *   action is null for failures (they don't say which command failed)
+ */
+function parseKaosReply(message, rules = {}) {
+  const text = messageText(message);
+  // our own commands echo back through the channel (and webhooks look like bots)
+  if (!text || text.trimStart().startsWith("[KAOS]")) return null;
+
+  let hit = compile(rules.failPattern, DEFAULT_REPLY_RULES.failPattern).exec(text);
+  let action = null;
+  if (!hit) {
+    const add = compile(rules.addPattern, DEFAULT_REPLY_RULES.addPattern).exec(text);
+    const remove = compile(rules.removePattern, DEFAULT_REPLY_RULES.removePattern).exec(text);
+    // both (or neither) = can't tell which command this confirms
+    if (!add === !remove) return null;
+    hit = add || remove;
+    action = add ? "ADD" : "REMOVE";
+  }
+
+  const userId = hit.groups?.user || text.match(/<@!?(\d{15,21})>/)?.[1] || null;
+  // else the first number outside mentions / channel + role tags
+  const amountText = hit.groups?.amount || text.replace(/<[@#][!&]?\d+>/g, " ").match(/\d[\d,_]*/)?.[0] || "";
+  const amountRaw = amountText ? Number(amountText.replace(/[,_\s]/g, "")) : NaN;
+
+  return {
+    outcome: action ? "confirmed" : "failed",
+    action,
+    userId,
+    amount: Number.isFinite(amountRaw) ? amountRaw : null,
+    replyTo: message.reference?.messageId || null,
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dataDir
+ * @param {string} opts.channelId Kaos channel (replies are only read here)
+ * @param {(guildId: string, command: string) => Promise<{ id: string }|null>} opts.send posts a command, returns the sent message
+ * @param {() => object} opts.getRules reply parser rules (see DEFAULT_REPLY_RULES)
+ * @param {() => string|null} opts.selfId this bot's user id
+ */
+function createKaosBridge(opts) {
+  const DATA_FILE = path.join(opts.dataDir, "kaosbridge.json");
+
+  const data = loadJson(DATA_FILE, { requests: {} });
+  if (!data.requests || typeof data.requests !== "object") data.requests = {};
+
+  // purpose -> (request, outcome) handler; registered at startup so restarts still settle
+  const handlers = new Map();
+
+  function save() {
+    const cutoff = nowSec() - KEEP_DAYS * 24 * 3600;
+    for (const [id, r] of Object.entries(data.requests)) {
+      if (r.status !== "waiting" && r.updatedAt < cutoff) delete data.requests[id];
+    }
+    try {
+      saveJson(DATA_FILE, data);
+    } catch (e) {
+      console.error("kaos bridge save error:", e?.message || e);
+    }
+  }
+
+  function on(purpose, handler) {
+    handlers.set(purpose, handler);
+  }
+
+  async function settle(r, outcome, extra = {}) {
+    const was = r.status;
+    Object.assign(r, extra, { status: outcome, late: was === "timeout", updatedAt: nowSec() });
+    save();
+    const handler = handlers.get(r.purpose);
+    if (!handler) return;
+    try {
+      await handler(r, outcome);
+    } catch (e) {
+      console.error(`kaos bridge ${r.purpose} handler error:`, e?.message || e);
+    }
+  }
+
+  /**
+   * Sends a command and tracks it until Kaos answers or timeoutSec passes.
+   * Throws (and forgets the request) if the command couldn't be sent.
+   */
+  async function request({ guildId, purpose, action, userId, amount, timeoutSec, meta = {} }) {
+    const id = crypto.randomBytes(4).toString("hex");
+    const r = {
+      id,
+      guildId,
+      purpose,
+      action,
+      userId,
+      amount,
+      meta,
+      status: "waiting",
+      messageId: null,
+      replyId: null,
+      late: false,
+      createdAt: nowSec(),
+      deadline: nowSec() + timeoutSec,
+      updatedAt: nowSec(),
+    };
+    data.requests[id] = r;
+    save();
+
+    try {
+      const sent = await opts.send(guildId, kaosCommand(action, userId, amount));
+      r.messageId = sent?.id || null;
+    } catch (e) {
+      delete data.requests[id];
+      save();
+      throw e;
+    }
+    r.updatedAt = nowSec();
+    save();
+    return r;
+  }
+
+  function findMatch(parsed) {
+    const open = Object.values(data.requests).filter(
+      (r) =>
+        (r.status === "waiting" || (r.status === "timeout" && r.deadline + LATE_MATCH_SEC > nowSec())) &&
+        (!parsed.action || r.action === parsed.action)
+    );
+    if (parsed.replyTo) {
+      const byRef = open.find((r) => r.messageId === parsed.replyTo);
+      if (byRef) return byRef;
+    }
+    // without a reply reference the amount has to line up too
+    if (!parsed.userId || parsed.amount === null) return null;
+
+    const candidates = open
+      .filter((r) => r.userId === parsed.userId && r.amount === parsed.amount)
+      .sort((a, b) => (a.status === b.status ? a.createdAt - b.createdAt : a.status === "waiting" ? -1 : 1));
+    return candidates[0] || null;
+  }
+
+  async function handleMessage(message) {
+    if (!opts.channelId || message.channelId !== opts.channelId) return false;
+    if (message.author?.id && message.author.id === opts.selfId()) return false;
+
+    const rules = { ...DEFAULT_REPLY_RULES, ...(opts.getRules() || {}) };
+    if (rules.botId ? message.author?.id !== rules.botId : !message.author?.bot) return false;
+
+    const parsed = parseKaosReply(message, rules);
+    if (!parsed) return false;
+
+    const r = findMatch(parsed);
+    if (!r) return false;
+
+    await settle(r, parsed.outcome, { replyId: message.id || null });
+    return true;
+  }
+
+  async function sweep() {
+    const due = Object.values(data.requests).filter((r) => r.status === "waiting" && r.deadline <= nowSec());
+    for (const r of due) await settle(r, "timeout");
+  }
+
+  function get(id) {
+    return data.requests[id] || null;
+  }
+
+  function list({ purpose = null, status = null, userId = null } = {}) {
+    return Object.values(data.requests)
+      .filter((r) => (!purpose || r.purpose === purpose) && (!status || r.status === status) && (!userId || r.userId === userId))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  let intervalHandle = null;
+  function onReady() {
+    if (!intervalHandle) {
+      intervalHandle = setInterval(() => sweep().catch((e) => console.error("kaos bridge sweep error:", e?.message || e)), SWEEP_INTERVAL_MS);
+    }
+    sweep().catch(() => {});
+  }
+
+  return { on, request, handleMessage, sweep, get, list, onReady };
+}
+
+module.exports = { DEFAULT_REPLY_RULES, kaosCommand, parseKaosReply, createKaosBridge };
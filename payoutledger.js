@@ -0,0 +1,273 @@
+"use strict";
+
+/**
+ * Durable Kaos payout ledger.
+ *
+ * Every payout is written to data/payouts.json before anything is sent, then a
+ * worker sends them one at a time with retry + backoff. While payouts are frozen
+ * entries are held as "frozen" and released by releaseFrozen().
+ *
+ * Status flow: pending -> sent | failed (after MAX_ATTEMPTS) ; frozen -> pending ; any -> void
+ * A void that lands while a send is in flight wins; the entry keeps the send's request id.
+ *
+ * When send() returns a correlation id (the Kaos bridge request), a sent entry is also
+ * tracked until Kaos answers: confirm = waiting -> confirmed | rejected | unconfirmed.
+ * An untracked send leaves confirm null.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const STATUSES = ["pending", "sent", "failed", "frozen", "void"];
+
+const SEND_GAP_MS = 850; // spacing between Kaos commands (rate limits)
+const WORKER_INTERVAL_MS = 15 * 1000;
+const MAX_ATTEMPTS = 6;
+const BACKOFF_BASE_SEC = 30;
+const BACKOFF_MAX_SEC = 30 * 60;
+const KEEP_SETTLED_DAYS = 30;
+
+function nowSec() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function loadJson(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+function saveJson(file, obj) {
+  ensureDir(path.dirname(file));
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), "utf8");
+  fs.renameSync(tmp, file);
+}
+
+function backoffSec(attempts) {
+  return Math.min(BACKOFF_MAX_SEC, BACKOFF_BASE_SEC * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dataDir
+ * @param {(entry: object) => Promise<string|void>} opts.send throws on failure; may return a correlation id
+ * @param {() => boolean} opts.isFrozen
+ */
+function createPayoutLedger(opts) {
+  const DATA_FILE = path.join(opts.dataDir, "payouts.json");
+
+  const data = loadJson(DATA_FILE, { entries: {} });
+  if (!data.entries || typeof data.entries !== "object") data.entries = {};
+
+  function save() {
+    // settled entries only need to live long enough to answer tickets
+    const cutoff = nowSec() - KEEP_SETTLED_DAYS * 24 * 3600;
+    for (const [id, e] of Object.entries(data.entries)) {
+      if ((e.status === "sent" || e.status === "void") && e.updatedAt < cutoff) delete data.entries[id];
+    }
+    try {
+      saveJson(DATA_FILE, data);
+    } catch (e) {
+      console.error("payout ledger save error:", e?.message || e);
+    }
+  }
+
+  // ref: optional caller key (e.g. one season reward) so a retried caller can find what it queued
+  function enqueue(guildId, userId, amount, source = "race", ref = null) {
+    const id = crypto.randomBytes(4).toString("hex");
+    const frozen = opts.isFrozen();
+    data.entries[id] = {
+      id,
+      guildId,
+      userId,
+      amount,
+      source,
+      ref,
+      status: frozen ? "frozen" : "pending",
+      attempts: 0,
+      nextAttemptAt: nowSec(),
+      lastError: null,
+      kaosRequestId: null,
+      confirm: null,
+      resends: 0,
+      createdAt: nowSec(),
+      updatedAt: nowSec(),
+    };
+    save();
+    if (!frozen) kick();
+    return data.entries[id];
+  }
+
+  function get(id) {
+    return data.entries[id] || null;
+  }
+
+  function findByRef(ref) {
+    return Object.values(data.entries).find((e) => e.ref === ref) || null;
+  }
+
+  function list(status = null) {
+    return Object.values(data.entries)
+      .filter((e) => !status || e.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  function counts() {
+    const out = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    for (const e of Object.values(data.entries)) out[e.status] = (out[e.status] || 0) + 1;
+    return out;
+  }
+
+  function releaseFrozen() {
+    let n = 0;
+    for (const e of Object.values(data.entries)) {
+      if (e.status !== "frozen") continue;
+      e.status = "pending";
+      e.nextAttemptAt = nowSec();
+      e.updatedAt = nowSec();
+      n++;
+    }
+    if (n) {
+      save();
+      kick();
+    }
+    return n;
+  }
+
+  // failed / frozen -> pending with a fresh attempt budget
+  function retry(id) {
+    const e = data.entries[id];
+    if (!e || e.status === "sent" || e.status === "void") return null;
+    e.status = opts.isFrozen() ? "frozen" : "pending";
+    e.attempts = 0;
+    e.nextAttemptAt = nowSec();
+    e.updatedAt = nowSec();
+    save();
+    kick();
+    return e;
+  }
+
+  // Only the latest send attempt counts: answers to an older attempt are ignored
+  function setConfirmation(id, requestId, confirm) {
+    const e = data.entries[id];
+    if (!e || e.status !== "sent" || e.kaosRequestId !== requestId) return null;
+    e.confirm = confirm;
+    e.confirmedAt = confirm === "confirmed" ? nowSec() : null;
+    e.updatedAt = nowSec();
+    save();
+    return e;
+  }
+
+  // sent at least olderThanSec ago and tracked, but Kaos never confirmed; oldest first
+  function unconfirmed(olderThanSec) {
+    const cutoff = nowSec() - olderThanSec;
+    return list("sent")
+      .filter((e) => e.confirm && e.confirm !== "confirmed" && e.sentAt <= cutoff)
+      .sort((a, b) => a.sentAt - b.sentAt);
+  }
+
+  // sent but unconfirmed -> pending again (staff decided Kaos never applied it)
+  function resend(id) {
+    const e = data.entries[id];
+    if (!e || e.status !== "sent" || e.confirm === "confirmed") return null;
+    e.status = opts.isFrozen() ? "frozen" : "pending";
+    e.attempts = 0;
+    e.confirm = null;
+    e.kaosRequestId = null;
+    e.resends = (e.resends || 0) + 1;
+    e.nextAttemptAt = nowSec();
+    e.updatedAt = nowSec();
+    save();
+    kick();
+    return e;
+  }
+
+  function voidEntry(id, byUserId) {
+    const e = data.entries[id];
+    if (!e || e.status === "sent") return null;
+    e.status = "void";
+    e.voidedBy = byUserId || null;
+    e.updatedAt = nowSec();
+    save();
+    return e;
+  }
+
+  // ---------------- WORKER ----------------
+  let running = false;
+
+  async function work() {
+    if (running) return;
+    running = true;
+    try {
+      for (;;) {
+        const due = list("pending")
+          .filter((e) => e.nextAttemptAt <= nowSec())
+          .sort((a, b) => a.createdAt - b.createdAt)[0];
+        if (!due) break;
+
+        if (opts.isFrozen()) {
+          due.status = "frozen";
+          due.updatedAt = nowSec();
+          save();
+          continue;
+        }
+
+        await new Promise((r) => setTimeout(r, SEND_GAP_MS));
+        // voided / frozen while we waited
+        if (due.status !== "pending") continue;
+
+        try {
+          due.attempts += 1;
+          const correlationId = await opts.send(due);
+          // voided while the command was in flight: it stays void, but keep the request id
+          // so staff can match it if Kaos still applies the command
+          if (due.status === "void") {
+            due.kaosRequestId = correlationId || null;
+            due.sentAt = nowSec();
+            console.warn(`⚠️ Kaos payout ${due.id} was voided while it was being sent`);
+          } else {
+            due.status = "sent";
+            due.kaosRequestId = correlationId || null;
+            due.confirm = correlationId ? "waiting" : null;
+            due.sentAt = nowSec();
+          }
+          due.lastError = null;
+        } catch (err) {
+          due.lastError = String(err?.message || err).slice(0, 300);
+          if (due.status !== "void") {
+            if (due.attempts >= MAX_ATTEMPTS) due.status = "failed";
+            else due.nextAttemptAt = nowSec() + backoffSec(due.attempts);
+          }
+          console.warn(`⚠️ Kaos payout ${due.id} attempt ${due.attempts} failed: ${due.lastError}`);
+        }
+        due.updatedAt = nowSec();
+        save();
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  function kick() {
+    work().catch((e) => console.error("payout worker error:", e?.message || e));
+  }
+
+  let intervalHandle = null;
+  function onReady() {
+    if (!intervalHandle) intervalHandle = setInterval(kick, WORKER_INTERVAL_MS);
+    kick();
+  }
+
+  return { STATUSES, enqueue, get, findByRef, list, counts, releaseFrozen, retry, setConfirmation, unconfirmed, resend, voidEntry, onReady };
+}
+
+module.exports = { createPayoutLedger };
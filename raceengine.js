@@ -0,0 +1,227 @@
+"use strict";
+
+/**
+ * Pure RHIB race simulation (no Discord, no timers).
+ *
+ * simulateRace() plays a whole race up front from a seed and returns every tick
+ * frame plus the final places. Solo + party modes render those frames on a timer,
+ * /race verify replays them, and the odds can be tested offline.
+ *
+ * Garage upgrades (engine / hull / nitro, levels 0..MAX_UPGRADE_LEVEL) only move roll
+ * thresholds and never add rng draws, so a stock boat (all 0) races exactly as before.
+ */
+
+const DEFAULT_TRACK_LEN = 18;
+
+// Built-in risk tiers (token costs: 1/2/3). The bot seeds settings.json with these;
+// houseEdge = drag strength, streakMult = scales the win-streak penalty.
+const DEFAULT_TIERS = {
+  low: {
+    key: "low",
+    label: "Low",
+    emoji: "🧯",
+    tokenCost: 1,
+    payouts: { 1: 250000, 2: 75000, 3: 25000, 4: 10000, 5: 5000 },
+    houseEdge: 0.55,
+    streakMult: 0.85,
+  },
+  standard: {
+    key: "standard",
+    label: "Standard",
+    emoji: "🧨",
+    tokenCost: 2,
+    payouts: { 1: 1000000, 2: 250000, 3: 60000, 4: 30000, 5: 15000 },
+    houseEdge: 0.7,
+    streakMult: 1.0,
+  },
+  high: {
+    key: "high",
+    label: "High",
+    emoji: "🔥",
+    tokenCost: 3,
+    payouts: { 1: 2000000, 2: 500000, 3: 120000, 4: 60000, 5: 30000 },
+    houseEdge: 1.0,
+    streakMult: 1.15,
+  },
+};
+
+const MAX_UPGRADE_LEVEL = 3;
+
+// Upgrades weaken as the tier's house edge grows: at full edge they are worth a quarter,
+// so a maxed boat can't out-run the drag on the riskier tiers.
+function upgradeScale(houseEdge) {
+  return 1 - 0.75 * Math.min(1, Math.max(0, Number(houseEdge) || 0));
+}
+
+// { engine, hull, nitro } levels -> clamped effect strengths for this tier
+function upgradeEffects(levels, houseEdge) {
+  const scale = upgradeScale(houseEdge);
+  const lvl = (x) => Math.min(MAX_UPGRADE_LEVEL, Math.max(0, Math.floor(Number(x) || 0)));
+  return {
+    engine: lvl(levels?.engine) * scale,
+    hull: lvl(levels?.hull) * scale,
+    nitro: lvl(levels?.nitro) * scale,
+  };
+}
+
+// ================== SEEDED RNG ==================
+function makeRng(seed) {
+  let t = seed >>> 0;
+  return function rng() {
+    t += 0x6d2b79f5;
+    let x = t;
+    x = Math.imul(x ^ (x >>> 15), x | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ================== MOVEMENT / HOUSE EDGE ==================
+// engine: each level turns ~1% of standing ticks into a 1-wave step
+function rollBaseStep(rng, engine = 0) {
+  const r = rng();
+  if (r > 0.992) return 3;
+  if (r > 0.93) return 2;
+  if (r > 0.58 - 0.01 * engine) return 1;
+  return 0;
+}
+// nitro: +0.5% BOOST chance per level • hull: -10% of the STALL chance per level
+function maybeEvent(rng, nitro = 0, hull = 0) {
+  const r = rng();
+  const boost = 0.06 + 0.005 * nitro;
+  const stall = 0.04 * (1 - 0.1 * hull);
+  if (r < boost) return { kind: "BOOST", text: "🧨 Boost wake!" };
+  if (r < boost + stall) return { kind: "STALL", text: "🌫️ Engine sputter..." };
+  return null;
+}
+function houseEdgeModifier(rankIndex, total, strength, rng) {
+  let drag = 0;
+
+  if (rankIndex === 0 && rng() < 0.55 * strength) drag -= 1;
+  if (rankIndex === 1 && rng() < 0.25 * strength) drag -= 1;
+
+  if (rankIndex >= total - 2 && rng() < 0.45 * strength) drag += 1;
+  if (rankIndex >= total - 1 && rng() < 0.65 * strength) drag += 1;
+
+  return drag;
+}
+function streakPenalty(winStreak, mult, rng) {
+  if (!winStreak || winStreak <= 0) return 0;
+  const chance = Math.min(0.22, 0.08 + winStreak * 0.045) * mult;
+  return rng() < chance ? -1 : 0;
+}
+function finalSprintBoost(pos, trackLen, rng) {
+  if (pos < trackLen - 5) return 0;
+  return rng() < 0.18 ? 1 : 0;
+}
+
+// One tick of movement. streaks: colourKey -> win streak of the player on it;
+// effects: colourKey -> upgradeEffects() of that boat.
+function advanceRacers(racers, tick, rng, edge, streaks, trackLen, effects = new Map()) {
+  const order = racers.slice().sort((a, b) => b.pos - a.pos);
+  const rankMap = new Map(order.map((r, i) => [r.key, i]));
+
+  for (const r of racers) {
+    if (r.finished) continue;
+
+    const fx = effects.get(r.key);
+    let step = rollBaseStep(rng, fx?.engine || 0);
+
+    const ev = maybeEvent(rng, fx?.nitro || 0, fx?.hull || 0);
+    r.event = ev ? ev.text : null;
+
+    if (ev?.kind === "BOOST") step += 1;
+    if (ev?.kind === "STALL") step = Math.max(0, step - 1);
+
+    const rk = rankMap.get(r.key) ?? 2;
+    step += houseEdgeModifier(rk, racers.length, edge.houseEdge, rng);
+    step += finalSprintBoost(r.pos, trackLen, rng);
+
+    // streak penalty for the player who chose this colour
+    if (streaks.has(r.key)) {
+      step += streakPenalty(streaks.get(r.key), edge.streakMult, rng);
+    }
+
+    step = Math.max(0, Math.min(3, step));
+    r.pos += step;
+
+    if (r.pos >= trackLen) {
+      r.pos = trackLen - 1;
+      r.finished = true;
+      r.finishTick = tick;
+    }
+  }
+}
+
+/**
+ * @param {object} opts
+ * @param {number} opts.seed
+ * @param {number} opts.houseEdge tier house-edge strength (0 = no drag)
+ * @param {number} [opts.streakMult] tier win-streak penalty multiplier (default 1)
+ * @param {string[]} opts.racers colour keys, in track order
+ * @param {Map<string, number>|object} [opts.streaks] colourKey -> win streak
+ * @param {object} [opts.mods] colourKey -> garage levels { engine, hull, nitro }
+ * @param {number} [opts.trackLen]
+ * @param {number} [opts.commentaryChance] per-tick chance of a commentary line
+ * @param {number} [opts.commentaryCount] size of the commentary pool
+ * @param {boolean} [opts.recordFrames] false skips per-tick snapshots (bulk simulations)
+ * @param {boolean} [opts.seededTies] break finish-tick ties with a coin flip from the seed
+ *   (PvP modes) instead of track order
+ * @returns {{ frames: object[], places: object[], photoFinish: boolean }}
+ */
+function simulateRace(opts) {
+  const trackLen = opts.trackLen || DEFAULT_TRACK_LEN;
+  const streaks = opts.streaks instanceof Map ? opts.streaks : new Map(Object.entries(opts.streaks || {}));
+  const commentaryChance = opts.commentaryChance || 0;
+  const commentaryCount = opts.commentaryCount || 0;
+  const edge = { houseEdge: Number(opts.houseEdge) || 0, streakMult: opts.streakMult ?? 1 };
+  const effects = new Map(Object.entries(opts.mods || {}).map(([key, levels]) => [key, upgradeEffects(levels, edge.houseEdge)]));
+
+  const rng = makeRng(opts.seed);
+  const racers = opts.racers.map((key) => ({ key, pos: 0, finished: false, finishTick: null, event: null }));
+  const frames = [];
+
+  // every tick moves someone eventually; the cap only guards against bad input
+  for (let tick = 1; tick <= 10000 && !racers.every((r) => r.finished); tick++) {
+    // commentary draw stays first in the tick: it is part of the seeded sequence
+    const commentaryIndex = rng() < commentaryChance ? Math.floor(rng() * commentaryCount) : null;
+
+    advanceRacers(racers, tick, rng, edge, streaks, trackLen, effects);
+
+    if (opts.recordFrames === false) continue;
+    frames.push({
+      tick,
+      commentaryIndex,
+      racers: racers.map((r) => ({ ...r })),
+    });
+  }
+
+  // the tie-break draws come from their own stream, so the race itself (and every
+  // replay recorded without seededTies) is unchanged
+  const tieRng = opts.seededTies ? makeRng((opts.seed ^ 0x5bd1e995) >>> 0) : null;
+  const tieRoll = new Map(racers.map((r) => [r.key, tieRng ? tieRng() : 0]));
+
+  const places = racers
+    .slice()
+    .sort((a, b) => a.finishTick - b.finishTick || b.pos - a.pos || tieRoll.get(a.key) - tieRoll.get(b.key))
+    .map((r, i) => ({ key: r.key, finishTick: r.finishTick, place: i + 1 }));
+
+  const photoFinish = places.length > 1 && places[0].finishTick === places[1].finishTick;
+
+  return { frames, places, photoFinish };
+}
+
+module.exports = {
+  DEFAULT_TRACK_LEN,
+  DEFAULT_TIERS,
+  MAX_UPGRADE_LEVEL,
+  upgradeScale,
+  upgradeEffects,
+  makeRng,
+  rollBaseStep,
+  maybeEvent,
+  houseEdgeModifier,
+  streakPenalty,
+  finalSprintBoost,
+  simulateRace,
+};
@@ -0,0 +1,197 @@
+"use strict";
+
+/**
+ * Monte Carlo return-to-player report for a race tier.
+ *
+ * Runs thousands of seeded solo races through the race engine (house edge +
+ * streak penalty included) and reports, per win streak, where the bet colour
+ * finishes and what a token spent is worth in Spirals. Garage upgrades on the bet
+ * boat can be included to check the odds of an upgraded boat.
+ *
+ * The bot runs it through runRtpReportInWorker() so a big report doesn't stall live races.
+ *
+ * CLI:
+ *   node rtpreport.js --tier high --runs 20000 [--streaks 0,1,2,3,5] [--colour red] [--seed 1]
+ *                     [--engine 3] [--hull 3] [--nitro 3]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+const { DEFAULT_TIERS, DEFAULT_TRACK_LEN, MAX_UPGRADE_LEVEL, makeRng, simulateRace } = require("./raceengine");
+
+const RACE_COLOURS = ["red", "blue", "green", "yellow", "purple"];
+const DEFAULT_STREAKS = [0, 1, 2, 3, 5];
+// Kaos points per token; has to stay above the best per-token return below
+const DEFAULT_POINTS_PER_TOKEN = 250000;
+
+/**
+ * @param {object} tier tier definition (tokenCost, payouts, houseEdge, streakMult)
+ * @param {object} [opts]
+ * @param {number} [opts.runs] races per streak row
+ * @param {number[]} [opts.streaks] win streaks to compare
+ * @param {string} [opts.colour] bet colour
+ * @param {number} [opts.seed] base seed; the same seed gives the same report
+ * @param {number} [opts.trackLen]
+ * @param {object} [opts.upgrades] garage levels on the bet boat { engine, hull, nitro }
+ */
+function runRtpReport(tier, opts = {}) {
+  const runs = Math.max(1, opts.runs || 5000);
+  const streaks = Array.isArray(opts.streaks) && opts.streaks.length ? opts.streaks : DEFAULT_STREAKS;
+  const colour = RACE_COLOURS.includes(opts.colour) ? opts.colour : "red";
+  const baseSeed = opts.seed || 1;
+
+  const rows = streaks.map((streak) => {
+    // every streak row sees the same seed list, so rows differ only by the streak drag
+    const seedRng = makeRng(baseSeed);
+    const placeCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let sum = 0;
+    let sumSq = 0;
+
+    for (let i = 0; i < runs; i++) {
+      const seed = Math.floor(seedRng() * 2147483646) + 1;
+      // commentary draws only shift the rng stream, so they're skipped here
+      const sim = simulateRace({
+        seed,
+        houseEdge: tier.houseEdge,
+        streakMult: tier.streakMult,
+        racers: RACE_COLOURS,
+        streaks: { [colour]: streak },
+        mods: opts.upgrades ? { [colour]: opts.upgrades } : undefined,
+        trackLen: opts.trackLen,
+        recordFrames: false,
+      });
+
+      const place = sim.places.find((p) => p.key === colour).place;
+      const payout = tier.payouts[place] || 0;
+      placeCounts[place] += 1;
+      sum += payout;
+      sumSq += payout * payout;
+    }
+
+    const mean = sum / runs;
+    const variance = Math.max(0, sumSq / runs - mean * mean);
+
+    return {
+      streak,
+      placePct: Object.fromEntries(Object.entries(placeCounts).map(([p, n]) => [p, (n / runs) * 100])),
+      meanPayout: mean,
+      perToken: mean / tier.tokenCost,
+      variance,
+      stdDev: Math.sqrt(variance),
+    };
+  });
+
+  return { tier, runs, colour, seed: baseSeed, upgrades: opts.upgrades || null, rows };
+}
+
+/**
+ * The most a token can be worth: the best lane of any of the tiers at streak 0 on a
+ * maxed garage boat, plus 3 standard errors so Monte Carlo noise can't undercut it.
+ * Kaos -> token prices must stay above this.
+ * @param {object[]} tiers
+ * @param {object} [opts] { runs, seed, trackLen }
+ * @returns {{ perToken: number, tierKey: string|null, colour: string|null }}
+ */
+function bestPerToken(tiers, opts = {}) {
+  const maxed = { engine: MAX_UPGRADE_LEVEL, hull: MAX_UPGRADE_LEVEL, nitro: MAX_UPGRADE_LEVEL };
+  let best = { perToken: 0, tierKey: null, colour: null };
+  for (const tier of tiers) {
+    for (const colour of RACE_COLOURS) {
+      const report = runRtpReport(tier, { runs: opts.runs || 2000, streaks: [0], colour, seed: opts.seed, trackLen: opts.trackLen, upgrades: maxed });
+      const row = report.rows[0];
+      const bound = row.perToken + (3 * row.stdDev) / Math.sqrt(report.runs) / tier.tokenCost;
+      if (bound > best.perToken) best = { perToken: bound, tierKey: tier.key, colour };
+    }
+  }
+  return best;
+}
+
+const WORKER_JOBS = { report: runRtpReport, best: bestPerToken };
+
+function inWorker(job, args) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { job, args } });
+    worker.once("message", resolve);
+    worker.once("error", reject);
+    worker.once("exit", (code) => {
+      if (code !== 0) reject(new Error(`RTP worker exited with code ${code}`));
+    });
+  });
+}
+
+// Same as runRtpReport() / bestPerToken(), on a worker thread
+function runRtpReportInWorker(tier, opts = {}) {
+  return inWorker("report", [tier, opts]);
+}
+function bestPerTokenInWorker(tiers, opts = {}) {
+  return inWorker("best", [tiers, opts]);
+}
+
+function fmtNum(n) {
+  return Math.round(n).toLocaleString("en-US");
+}
+
+// Plain-text table; the bot wraps it in a code block
+function formatRtpReport(report) {
+  const head = `streak |  1st%  2nd%  3rd%  4th%  5th% | mean payout | per token |  std dev`;
+  const lines = report.rows.map((r) => {
+    const pcts = [1, 2, 3, 4, 5].map((p) => r.placePct[p].toFixed(1).padStart(5)).join(" ");
+    return (
+      `${String(r.streak).padStart(6)} | ${pcts} | ` +
+      `${fmtNum(r.meanPayout).padStart(11)} | ${fmtNum(r.perToken).padStart(9)} | ${fmtNum(r.stdDev).padStart(8)}`
+    );
+  });
+  return [head, "-".repeat(head.length), ...lines].join("\n");
+}
+
+// ================== CLI ==================
+function parseArgs(argv) {
+  const out = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([a-z]+)$/);
+    if (m) out[m[1]] = argv[++i];
+  }
+  return out;
+}
+
+// Tiers + track length as the bot stores them (data/settings.json), else the built-ins
+function loadStoredSettings() {
+  const file = path.join(__dirname, "data", "settings.json");
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+if (!isMainThread && WORKER_JOBS[workerData?.job]) {
+  parentPort.postMessage(WORKER_JOBS[workerData.job](...workerData.args));
+} else if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const stored = loadStoredSettings();
+  const tiers = stored.tiers && typeof stored.tiers === "object" ? stored.tiers : DEFAULT_TIERS;
+  const tier = tiers[args.tier || "standard"];
+  if (!tier) {
+    console.error(`Unknown tier "${args.tier}". Options: ${Object.keys(tiers).join(", ")}`);
+    process.exit(1);
+  }
+
+  const report = runRtpReport(tier, {
+    runs: parseInt(args.runs || "5000", 10),
+    streaks: args.streaks ? args.streaks.split(",").map((x) => parseInt(x, 10) || 0) : undefined,
+    colour: args.colour,
+    seed: parseInt(args.seed || "1", 10),
+    trackLen: stored.trackLen || DEFAULT_TRACK_LEN,
+    upgrades: { engine: args.engine, hull: args.hull, nitro: args.nitro },
+  });
+
+  const up = report.upgrades;
+  console.log(
+    `RTP report • ${tier.label} tier • cost ${tier.tokenCost} token(s) • ${report.runs} runs/streak • bet ${report.colour}` +
+      ` • engine ${up.engine || 0} hull ${up.hull || 0} nitro ${up.nitro || 0}`
+  );
+  console.log(formatRtpReport(report));
+}
+
+module.exports = { DEFAULT_POINTS_PER_TOKEN, runRtpReport, runRtpReportInWorker, bestPerToken, bestPerTokenInWorker, formatRtpReport };
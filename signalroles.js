@@ -178,4 +178,4 @@ function createSignalRolesSystem(client, commandsDef = []) {
   return { name: "signalroles", commands, handleInteraction };
 }
 
-module.exports = { createSignalRolesSystem };
+module.exports = { createSignalRolesSystem, SIGNALS };
@@ -0,0 +1,104 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_TIERS, simulateRace } = require("../raceengine");
+
+const COLOURS = ["red", "blue", "green", "yellow", "purple"];
+
+function race(seed, extra = {}) {
+  return simulateRace({
+    seed,
+    houseEdge: DEFAULT_TIERS.standard.houseEdge,
+    streakMult: DEFAULT_TIERS.standard.streakMult,
+    racers: COLOURS,
+    commentaryChance: 0.3,
+    commentaryCount: 10,
+    ...extra,
+  });
+}
+
+test("the same seed replays the same race", () => {
+  for (const seed of [1, 42, 123456789, 2147483646]) {
+    const extra = { streaks: { red: 2 }, mods: { blue: { engine: 3, hull: 1, nitro: 2 } } };
+    assert.deepEqual(race(seed, extra), race(seed, extra));
+  }
+});
+
+test("different seeds give different races", () => {
+  const orders = new Set();
+  for (let seed = 1; seed <= 50; seed++) orders.add(race(seed).places.map((p) => p.key).join(","));
+  assert.ok(orders.size > 10, `only ${orders.size} finish orders in 50 seeds`);
+});
+
+test("skipping frames doesn't change the result", () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    assert.deepEqual(race(seed, { recordFrames: false }).places, race(seed).places);
+  }
+});
+
+test("places are 1..n, one per racer, in finish order", () => {
+  for (let seed = 1; seed <= 300; seed++) {
+    const { frames, places } = race(seed);
+    assert.deepEqual(
+      places.map((p) => p.place),
+      COLOURS.map((_, i) => i + 1)
+    );
+    assert.deepEqual(places.map((p) => p.key).sort(), COLOURS.slice().sort());
+    for (let i = 1; i < places.length; i++) assert.ok(places[i - 1].finishTick <= places[i].finishTick);
+    // the race ends on the tick the last boat crosses
+    assert.equal(frames[frames.length - 1].tick, places[places.length - 1].finishTick);
+  }
+});
+
+test("photoFinish is set exactly when the top two share a finish tick", () => {
+  let seen = 0;
+  for (let seed = 1; seed <= 500; seed++) {
+    const { places, photoFinish } = race(seed);
+    assert.equal(photoFinish, places[0].finishTick === places[1].finishTick);
+    if (photoFinish) seen++;
+  }
+  assert.ok(seen > 0, "no photo finish in 500 seeds");
+});
+
+// the bet boat's odds per tier: near a fair 1-in-5 fresh, clearly worse on a win streak
+for (const tier of Object.values(DEFAULT_TIERS)) {
+  test(`${tier.key}: win odds stay in their band and drop with the win streak`, () => {
+    const runs = 2000;
+    const winPct = (streak) => {
+      let wins = 0;
+      for (let i = 1; i <= runs; i++) {
+        if (race(i * 7919, { houseEdge: tier.houseEdge, streakMult: tier.streakMult, streaks: { red: streak } }).places[0].key === "red") wins++;
+      }
+      return (wins / runs) * 100;
+    };
+    const fresh = winPct(0);
+    const streaking = winPct(3);
+    assert.ok(fresh >= 14 && fresh <= 24, `fresh win rate ${fresh.toFixed(1)}%`);
+    assert.ok(streaking < fresh - 3, `streak 3 win rate ${streaking.toFixed(1)}% vs ${fresh.toFixed(1)}%`);
+  });
+}
+
+test("seededTies only reorders boats that finish on the same tick", () => {
+  for (let seed = 1; seed <= 300; seed++) {
+    const plain = race(seed);
+    const tied = race(seed, { seededTies: true });
+    assert.deepEqual(tied.frames, plain.frames);
+    assert.deepEqual(
+      tied.places.map((p) => p.finishTick),
+      plain.places.map((p) => p.finishTick)
+    );
+    assert.deepEqual(race(seed, { seededTies: true }), tied);
+  }
+});
+
+test("seededTies splits two-boat photo finishes evenly", () => {
+  const wins = { red: 0, blue: 0 };
+  for (let seed = 1; seed <= 4000; seed++) {
+    const r = simulateRace({ seed, houseEdge: 0, streakMult: 0, racers: ["red", "blue"], recordFrames: false, seededTies: true });
+    if (r.photoFinish) wins[r.places[0].key]++;
+  }
+  const total = wins.red + wins.blue;
+  assert.ok(total > 50, `only ${total} photo finishes`);
+  assert.ok(Math.abs(wins.red / total - 0.5) < 0.1, `red won ${wins.red}/${total} photo finishes`);
+});
@@ -0,0 +1,52 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_TIERS, MAX_UPGRADE_LEVEL } = require("../raceengine");
+const { DEFAULT_POINTS_PER_TOKEN, runRtpReport, bestPerToken } = require("../rtpreport");
+
+const RUNS = 2000;
+const MAXED = { engine: MAX_UPGRADE_LEVEL, hull: MAX_UPGRADE_LEVEL, nitro: MAX_UPGRADE_LEVEL };
+
+// Spirals per token on the red lane at streak 0, stock boat (seeded, so these only move
+// when the engine or the tier tables do)
+const PER_TOKEN_BOUNDS = {
+  low: [55000, 80000],
+  standard: [105000, 140000],
+  high: [145000, 185000],
+};
+
+test("the same seed gives the same report", () => {
+  const a = runRtpReport(DEFAULT_TIERS.low, { runs: 300, seed: 7 });
+  const b = runRtpReport(DEFAULT_TIERS.low, { runs: 300, seed: 7 });
+  assert.deepEqual(a, b);
+});
+
+for (const [key, [lo, hi]] of Object.entries(PER_TOKEN_BOUNDS)) {
+  test(`${key}: RTP per token stays in its band and falls with the win streak`, () => {
+    const tier = DEFAULT_TIERS[key];
+    const { rows } = runRtpReport(tier, { runs: RUNS, streaks: [0, 3] });
+    const [fresh, streaking] = rows;
+
+    assert.ok(fresh.perToken >= lo && fresh.perToken <= hi, `${Math.round(fresh.perToken)} outside ${lo}..${hi}`);
+    assert.ok(streaking.perToken < fresh.perToken, "streak penalty didn't lower the return");
+    for (const row of rows) {
+      const total = Object.values(row.placePct).reduce((a, b) => a + b, 0);
+      assert.ok(Math.abs(total - 100) < 1e-9);
+      assert.ok(row.meanPayout <= tier.payouts[1]);
+    }
+  });
+
+  test(`${key}: a maxed garage boat gains less than 15%`, () => {
+    const tier = DEFAULT_TIERS[key];
+    const stock = runRtpReport(tier, { runs: RUNS, streaks: [0] }).rows[0].perToken;
+    const maxed = runRtpReport(tier, { runs: RUNS, streaks: [0], upgrades: MAXED }).rows[0].perToken;
+    assert.ok(maxed > stock, "upgrades did nothing");
+    assert.ok(maxed < stock * 1.15, `maxed ${Math.round(maxed)} vs stock ${Math.round(stock)}`);
+  });
+}
+
+test("no lane or garage returns more per token than the default Kaos token price", () => {
+  const best = bestPerToken(Object.values(DEFAULT_TIERS), { runs: 1000 });
+  assert.ok(best.perToken < DEFAULT_POINTS_PER_TOKEN, `${best.tierKey}/${best.colour} returns ${Math.round(best.perToken)}`);
+});